@@ -2,99 +2,315 @@
 
 const { spawn } = require('child_process');
 const path = require('path');
+const readline = require('readline');
 const chalk = require('chalk');
-const ora = require('ora');
 
 const Updater = require('../lib/updater');
+const Config = require('../lib/config');
 const Logger = require('../lib/logger');
+const Commands = require('../lib/commands');
+const ProjectVersion = require('../lib/project-version');
+const BackgroundUpdate = require('../lib/background-update');
+const SelfUpdate = require('../lib/self-update');
+const StartupTrace = require('../lib/startup-trace');
+const Terminal = require('../lib/terminal');
 
 class GeminiUpdaterCLI {
-  constructor() {
-    this.updater = new Updater('@google/gemini-cli', 'gemini');
-    this.logger = new Logger();
+  constructor(argv = process.argv) {
+    this.trace = new StartupTrace(argv.includes('--trace-startup'));
+    const { tool, args } = GeminiUpdaterCLI.resolveTool(new Config(), argv);
+    this.args = args;
+    this.updater = new Updater(tool);
+    this.logger = new Logger(this.updater.config);
+    this.terminal = new Terminal({ quiet: this.args.includes('--updater-quiet') || this.updater.config.isQuiet() });
+    this.projectVersion = null;
+    this.trace.mark('wrapper init');
+  }
+
+  // The tool to run and the arguments meant for it: the tool named by a leading
+  // --tool=<name> (only wrapper flags and --updater-<setting>=<value> overrides may come
+  // before it), else the one whose command this script was started as (e.g. through a
+  // `claude` symlink to it), else Gemini CLI
+  static resolveTool(config, argv) {
+    const args = argv.slice(2);
+    const index = args.findIndex(arg => !Config.isWrapperArg(arg));
+    if (index !== -1 && args[index].startsWith(Commands.TOOL_FLAG)) {
+      const name = args[index].slice(Commands.TOOL_FLAG.length);
+      const tool = config.getTool(name);
+      if (!tool) {
+        throw new Error(`Unknown tool: ${name} (see: gemini ${Commands.NAMESPACE} tools list)`);
+      }
+      return { tool, args: [...args.slice(0, index), ...args.slice(index + 1)] };
+    }
+
+    const invokedAs = path.basename(argv[1] || '').replace(/\.(js|cmd|ps1)$/i, '');
+    return { tool: config.findToolByBin(invokedAs) || config.getTool(Config.DEFAULT_TOOL), args };
   }
 
   async run() {
+    const { displayName } = this.updater;
+
     try {
-      // Skip update check if --skip-update flag is present
-      if (!process.argv.includes('--skip-update')) {
+      // Management commands are handled by the wrapper and never reach the tool
+      const commandArgs = Commands.getCommandArgs(this.args);
+      if (commandArgs) {
+        const commands = new Commands(this.updater, this.logger);
+        process.exit(await commands.run(commandArgs));
+      }
+
+      // The tool doesn't start until a broken team policy file is fixed
+      if (this.updater.config.policyError) {
+        throw this.updater.config.policyError;
+      }
+
+      // A project-pinned version replaces the regular update check
+      this.projectVersion = new ProjectVersion(this.updater.tool).find();
+      this.trace.mark('project version lookup');
+
+      // Skip update check if --skip-update flag or GEMINI_UPDATER_SKIP_UPDATE is present. Pipes,
+      // scripts and CI jobs never wait on one either, unless nonInteractiveUpdates is set.
+      const { config } = this.updater;
+      const unattended = !this.terminal.interactive && !config.getSettings().nonInteractiveUpdates;
+      if (unattended) {
+        this.logger.debug(`Skipping update check: ${this.terminal.describe()}`);
+      }
+      const skipUpdate = this.args.includes('--skip-update') || config.isUpdateSkipped() || unattended;
+      if (!this.projectVersion && !skipUpdate) {
         await this.checkAndUpdate();
       }
+      this.trace.mark('update check');
+
+      // The wrapper updates itself in the background, on its own cooldown
+      if (!skipUpdate) {
+        this.startSelfUpdate();
+      }
+      this.trace.mark('self-update check');
+
+      await this.enforcePolicy();
+      this.trace.mark('policy check');
 
-      // Pass all arguments to the actual gemini command
-      const args = process.argv.slice(2).filter(arg => arg !== '--skip-update');
-      await this.launchGemini(args);
+      // Pass all other arguments to the actual command
+      const args = this.args.filter(arg => !Config.WRAPPER_FLAGS.includes(arg) && !arg.startsWith(Config.CLI_FLAG_PREFIX));
+      await this.launchTool(args);
     } catch (error) {
-      this.logger.error('Failed to run Gemini:', error.message);
+      this.logger.error(`Failed to run ${displayName}:`, error.message);
       process.exit(1);
     }
   }
 
   async checkAndUpdate() {
-    const spinner = ora('Checking for Gemini updates...').start();
+    const mode = this.updater.config.getUpdateMode();
+    if (mode === 'off') return;
+
+    if (mode === 'auto' && this.updater.config.getSettings().backgroundUpdate) {
+      this.startBackgroundUpdate();
+      return;
+    }
+
+    const { displayName } = this.updater;
+    const spinner = this.terminal.spinner(`Checking for ${displayName} updates...`);
+    this.updater.startTimeBudget();
     
     try {
       const needsUpdate = await this.updater.checkForUpdate();
       
-      if (needsUpdate) {
-        spinner.text = 'Updating Gemini CLI...';
-        await this.updater.performUpdate();
-        spinner.succeed(chalk.green('Gemini CLI updated successfully!'));
-      } else {
-        spinner.succeed(chalk.blue('Gemini CLI is up to date'));
+      // Offline: launch quietly with whatever is installed
+      if (this.updater.isOffline()) {
+        spinner.stop();
+        return;
       }
+
+      if (!needsUpdate) {
+        spinner.succeed(chalk.blue(`${displayName} is up to date`));
+        return;
+      }
+
+      const { currentVersion, targetVersion } = this.updater;
+
+      // Prompt mode never blocks non-interactive sessions; they get the banner instead
+      if (mode === 'notify' || (mode === 'prompt' && !this.terminal.interactive)) {
+        spinner.stop();
+        this.printUpdateBanner(currentVersion, targetVersion);
+        return;
+      }
+
+      if (mode === 'prompt') {
+        spinner.stop();
+        const accepted = await this.confirm(`Update ${displayName} ${currentVersion || ''} -> ${targetVersion}? [Y/n] `);
+        if (!accepted) {
+          this.terminal.notify(chalk.gray(`Skipped. Update later with: ${this.updater.getCommandPrefix()} update`));
+          return;
+        }
+        spinner.start();
+      }
+
+      spinner.text = `Updating ${displayName}...`;
+      await this.updater.performUpdate();
+      spinner.succeed(chalk.green(`${displayName} updated successfully!`));
     } catch (error) {
-      spinner.fail(chalk.yellow('Update check failed, proceeding with current version'));
+      if (error.code === 'ELOCKED') {
+        spinner.info(chalk.gray(`Another ${this.updater.commandName} process is updating, proceeding with current version`));
+      } else {
+        spinner.fail(chalk.yellow(error.code === 'ETIMEDOUT'
+          ? 'Update took too long, proceeding with current version'
+          : 'Update check failed, proceeding with current version'));
+      }
       this.logger.warn('Update error:', error.message);
     }
   }
 
-  async launchGemini(args) {
+  printUpdateBanner(currentVersion, targetVersion) {
+    const { displayName } = this.updater;
+    this.terminal.notify(chalk.yellow(`⬆️  ${displayName} ${targetVersion} is available (installed: ${currentVersion || 'none'}). Run: ${this.updater.getCommandPrefix()} update`));
+  }
+
+  confirm(question) {
+    return new Promise((resolve) => {
+      const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+      rl.question(chalk.cyan(question), (answer) => {
+        rl.close();
+        resolve(!/^n(o)?$/i.test(answer.trim()));
+      });
+    });
+  }
+
+  // Report what the previous background run did, then kick off the next one
+  startBackgroundUpdate() {
+    const backgroundUpdate = new BackgroundUpdate(this.updater);
+    const notice = backgroundUpdate.takeNotice();
+
+    if (notice && notice.status === 'updated') {
+      this.terminal.notify(chalk.green(`✨ ${this.updater.displayName} updated from ${notice.from || 'none'} to ${notice.to}`));
+    } else if (notice && notice.status === 'failed') {
+      this.terminal.notify(chalk.yellow(`⚠️  Background update to ${notice.to} failed, still on ${notice.from || 'previous version'} (see: ${this.updater.getCommandPrefix()} logs)`));
+    }
+
+    backgroundUpdate.start();
+  }
+
+  // Report what the last self-update did or found, then start the next one if it is due
+  startSelfUpdate() {
+    try {
+      const selfUpdate = new SelfUpdate();
+      const notice = selfUpdate.takeNotice();
+
+      if (notice && notice.status === 'updated') {
+        this.terminal.notify(chalk.green(`✨ gemini-cli-updater updated from ${notice.from} to ${notice.to}`));
+      } else if (notice && notice.status === 'failed') {
+        this.terminal.notify(chalk.yellow(`⚠️  gemini-cli-updater update to ${notice.to} failed, still on ${notice.from} (see: ${this.updater.getCommandPrefix()} logs)`));
+      } else if (notice && notice.status === 'available' && notice.to !== selfUpdate.currentVersion) {
+        this.terminal.notify(chalk.yellow(`⬆️  gemini-cli-updater ${notice.to} is available (installed: ${selfUpdate.currentVersion}). Run: ${this.updater.getCommandPrefix()} update --self`));
+      }
+
+      selfUpdate.start();
+    } catch (error) {
+      this.logger.warn('Self-update check failed:', error.message);
+    }
+  }
+
+  // The team policy wins over --skip-update and updateMode: an installed version outside
+  // its min/max range is replaced before launch, and if that fails the tool doesn't start
+  async enforcePolicy() {
+    // Finding the installed version can spawn package managers, so it is only looked up
+    // when a policy sets version bounds for this tool
+    const { config } = this.updater;
+    const policy = config.getPolicy();
+    if (!config.policyError && !policy.minVersion && !policy.maxVersion) return;
+
+    // A project-pinned version is checked by ensureProjectVersion instead
+    if (this.projectVersion) return;
+
+    const violation = this.updater.getPolicyViolation(await this.updater.getCurrentVersion());
+    if (!violation) return;
+
+    const { displayName } = this.updater;
+    const spinner = this.terminal.spinner(`Updating ${displayName} to meet the team policy...`);
+    try {
+      const { version: target } = await this.updater.resolveTargetVersion();
+      if (!target) {
+        throw new Error('no published version satisfies the policy');
+      }
+      await this.updater.performUpdate(target, { action: 'policy' });
+      spinner.succeed(chalk.green(`${displayName} updated to ${target} as required by policy`));
+    } catch (error) {
+      spinner.fail(chalk.red(`${displayName} does not meet the team policy`));
+      throw new Error(`${violation}. Could not install an allowed version: ${error.message}`);
+    }
+  }
+
+  // Make sure the version pinned by .gemini-version / package.json is in the version store.
+  // It is launched directly without changing the globally active version, but only if the
+  // team policy allows it and it hasn't failed a health check.
+  async ensureProjectVersion() {
+    if (!this.projectVersion) return;
+
+    const { displayName } = this.updater;
+    const { version, source } = this.projectVersion;
+    try {
+      this.updater.assertVersionAllowed(version);
+    } catch (error) {
+      throw new Error(`${displayName} ${version} is pinned by ${source} but can't be used: ${error.message}`);
+    }
+
+    if (this.updater.store.has(version)) {
+      this.logger.debug(`Using ${displayName} ${version} pinned by ${source}`);
+      return;
+    }
+
+    const spinner = this.terminal.spinner(`Installing ${displayName} ${version} (pinned by ${source})...`);
+    try {
+      await this.updater.acquireLock();
+      await this.updater.installVersion(version);
+      spinner.succeed(chalk.green(`${displayName} ${version} installed for this project`));
+    } catch (error) {
+      spinner.fail(chalk.red(`Could not install ${displayName} ${version}`));
+      throw new Error(`${displayName} ${version} is required by ${source}: ${error.message}`);
+    } finally {
+      this.updater.releaseLock();
+    }
+  }
+
+  async launchTool(args) {
+    await this.ensureProjectVersion();
+    this.trace.mark('project version install');
+
+    const { packageName, displayName } = this.updater;
+    const installHint = `Please install it first with: ${this.updater.getCommandPrefix()} update`;
+
     return new Promise((resolve, reject) => {
-      // Find the actual @google/gemini-cli package and call it directly
-      const path = require('path');
-      let geminiPath;
+      let binPath;
       
       try {
-        // Use Node.js module resolution with global paths to find the package
-        const { execSync } = require('child_process');
-        const globalNodeModules = execSync('npm root -g', { encoding: 'utf8' }).trim();
-        const geminiPackagePath = path.join(globalNodeModules, '@google', 'gemini-cli');
-        const packageJsonPath = path.join(geminiPackagePath, 'package.json');
-        
-        if (!require('fs').existsSync(packageJsonPath)) {
-          throw new Error('Package not found in global modules');
-        }
-        
-        const packageJson = require(packageJsonPath);
-        geminiPath = path.join(geminiPackagePath, packageJson.bin.gemini);
+        binPath = this.updater.resolveBinPath(this.projectVersion && this.projectVersion.version);
       } catch (error) {
-        this.logger.error('Could not find @google/gemini-cli package. Please install it first with: npm i -g @google/gemini-cli');
-        reject(new Error('Gemini CLI not found'));
+        this.logger.error(`Could not find ${packageName} package. ${installHint}`);
+        reject(new Error(`${displayName} not found`));
         return;
       }
+      this.trace.mark('resolve binary');
+      this.trace.report();
 
-      const gemini = spawn('node', [geminiPath, ...args], {
+      const child = spawn('node', [binPath, ...args], {
         stdio: 'inherit',
         shell: false
       });
 
-      gemini.on('error', (error) => {
+      child.on('error', (error) => {
         if (error.code === 'ENOENT') {
-          this.logger.error('Gemini CLI not found. Please install it first with: npm i -g @google/gemini-cli');
-          reject(new Error('Gemini CLI not installed'));
+          this.logger.error(`${displayName} not found. ${installHint}`);
+          reject(new Error(`${displayName} not installed`));
         } else {
           reject(error);
         }
       });
 
-      gemini.on('close', (code) => {
+      child.on('close', (code) => {
         process.exit(code || 0);
       });
 
       // Handle process termination
-      process.on('SIGINT', () => gemini.kill('SIGINT'));
-      process.on('SIGTERM', () => gemini.kill('SIGTERM'));
+      process.on('SIGINT', () => child.kill('SIGINT'));
+      process.on('SIGTERM', () => child.kill('SIGTERM'));
     });
   }
 }
@@ -107,7 +323,13 @@ process.on('unhandledRejection', (error) => {
 
 // Run the CLI
 if (require.main === module) {
-  const cli = new GeminiUpdaterCLI();
+  let cli;
+  try {
+    cli = new GeminiUpdaterCLI();
+  } catch (error) {
+    console.error(chalk.red('Fatal error:'), error.message);
+    process.exit(1);
+  }
   cli.run().catch(error => {
     console.error(chalk.red('Fatal error:'), error.message);
     process.exit(1);
@@ -0,0 +1,52 @@
+const Updater = require('./updater');
+const Config = require('./config');
+const DetachedWorker = require('./detached-worker');
+
+// Runs update checks in a detached worker so the tool starts without waiting on the
+// registry or npm. The worker installs into the version store; the next invocation
+// launches the new version and shows the notice the worker left behind.
+class BackgroundUpdate {
+  constructor(updater) {
+    this.updater = updater;
+    this.config = updater.config;
+    this.logger = updater.logger;
+    this.worker = new DetachedWorker({
+      script: __filename,
+      args: [updater.toolName],
+      config: this.config,
+      logger: this.logger,
+      label: 'background update'
+    });
+  }
+
+  // Start a worker if a check is due. Returns true if one was started.
+  start() {
+    return this.updater.isCheckDue() && this.worker.start();
+  }
+
+  takeNotice() {
+    return this.worker.takeNotice();
+  }
+
+  // Worker side: check and install, then leave a notice for the next invocation
+  async work() {
+    const fromVersion = await this.updater.getCurrentVersion();
+    const needsUpdate = await this.updater.checkForUpdate({ manual: true });
+    if (!needsUpdate) return;
+
+    await this.worker.install(fromVersion, this.updater.targetVersion, () => this.updater.performUpdate());
+  }
+}
+
+if (require.main === module) {
+  const tool = new Config(process.argv[2]).getTool();
+  if (!tool) process.exit(1);
+  const backgroundUpdate = new BackgroundUpdate(new Updater(tool));
+
+  backgroundUpdate.work().catch(error => {
+    backgroundUpdate.logger.error('Background update failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = BackgroundUpdate;
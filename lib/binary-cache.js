@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const writeFileAtomic = require('./write-file-atomic');
+
+// Remembers where the Gemini entry point was found so launches don't need to spawn
+// `npm root -g` or re-read package.json. Entries are keyed by Node version and install
+// prefix (a Node switch via nvm/Volta changes both), and are dropped when the cached
+// file no longer exists or after an update.
+class BinaryCache {
+  constructor() {
+    this.cacheFile = path.join(os.homedir(), '.gemini-cli-updater', 'bin-cache.json');
+  }
+
+  // `target` identifies what is being launched, e.g. a store version or the global install
+  getKey(target) {
+    const nodePrefix = path.dirname(path.dirname(process.execPath));
+    const npmPrefix = process.env.npm_config_prefix || process.env.NPM_CONFIG_PREFIX || '';
+    return [process.version, nodePrefix, npmPrefix, target].join('|');
+  }
+
+  get(target) {
+    const entry = this.read()[this.getKey(target)];
+    if (!entry || !fs.existsSync(entry.binPath)) {
+      return null;
+    }
+    return entry.binPath;
+  }
+
+  set(target, binPath) {
+    const entries = this.read();
+    entries[this.getKey(target)] = { binPath, cachedAt: Date.now() };
+    this.write(entries);
+  }
+
+  clear() {
+    try {
+      if (fs.existsSync(this.cacheFile)) {
+        fs.unlinkSync(this.cacheFile);
+      }
+    } catch (error) {
+      // A stale cache is still validated on read, nothing else to do
+    }
+  }
+
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  write(entries) {
+    try {
+      writeFileAtomic(this.cacheFile, JSON.stringify(entries, null, 2));
+    } catch (error) {
+      // Caching is an optimisation only
+    }
+  }
+
+  getCachePath() {
+    return this.cacheFile;
+  }
+}
+
+module.exports = BinaryCache;
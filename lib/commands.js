@@ -0,0 +1,870 @@
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const chalk = require('chalk');
+const ora = require('ora');
+const Config = require('./config');
+const ProjectVersion = require('./project-version');
+const Schema = require('./config-schema');
+const ShellDetector = require('./shell-detector');
+const SelfUpdate = require('./self-update');
+const Doctor = require('./doctor');
+
+// Reserved first argument that routes to the wrapper's own commands instead of the tool
+const NAMESPACE = 'updater';
+
+// `gemini-cli-updater --tool=<name> ...` runs a managed tool other than the one the
+// wrapper was started as; the shell aliases from `updater tools add` use it
+const TOOL_FLAG = '--tool=';
+
+// Commands that print a JSON document with --json or GEMINI_UPDATER_JSON=true. The
+// documents are described in the README; bump JSON_SCHEMA_VERSION on incompatible changes.
+const JSON_COMMANDS = ['status', 'check', 'history', 'update'];
+const JSON_SCHEMA_VERSION = 1;
+
+// Exit code for each outcome, used by `check` and by every JSON command
+const EXIT_CODES = {
+  'up-to-date': 0,
+  updated: 0,
+  error: 1,
+  'update-available': 10,
+  'update-failed': 11,
+  offline: 12
+};
+
+class Commands {
+  constructor(updater, logger) {
+    this.updater = updater;
+    this.config = updater.config;
+    this.logger = logger;
+    this.displayName = updater.displayName;
+    this.prefix = updater.getCommandPrefix();
+    this.json = false;
+    this.handlers = {
+      status: () => this.status(),
+      check: () => this.check(),
+      update: (args) => this.update(args),
+      rollback: (args) => this.rollback(args),
+      channel: (args) => this.channel(args),
+      use: (args) => this.use(args),
+      list: () => this.list(),
+      prune: (args) => this.prune(args),
+      allow: (args) => this.allow(args),
+      deny: (args) => this.deny(args),
+      history: (args) => this.history(args),
+      config: (args) => this.configCommand(args),
+      tools: (args) => this.tools(args),
+      doctor: (args) => new Doctor(this.updater, this.logger).run({ fix: args.includes('--fix') }),
+      logs: (args) => this.logs(args),
+      help: () => this.help()
+    };
+  }
+
+  // Arguments after `updater`, or null when `args` are for the tool. `updater` may follow wrapper
+  // flags and --updater-<setting>=<value> overrides, e.g. `gemini --updater-healthCheck=false updater update`.
+  static getCommandArgs(args) {
+    const index = args.findIndex(arg => !Config.isWrapperArg(arg));
+    return index !== -1 && args[index] === NAMESPACE ? args.slice(index + 1) : null;
+  }
+
+  static isCommand(args) {
+    return Commands.getCommandArgs(args) !== null;
+  }
+
+  // Run a management command, returns the process exit code
+  async run(args) {
+    const [name = 'help', ...rest] = args;
+    const handler = this.handlers[name];
+
+    if (!handler) {
+      console.error(chalk.red(`Unknown command: ${name}`));
+      this.help();
+      return 1;
+    }
+
+    this.json = JSON_COMMANDS.includes(name) && (rest.includes('--json') || this.config.isJsonOutput());
+
+    try {
+      const code = await handler(rest);
+      return code || 0;
+    } catch (error) {
+      this.logger.log('error', `Command ${name} failed:`, error.message);
+      if (this.json) {
+        return this.printJson(name, { outcome: 'error', error: error.message });
+      }
+      console.error(chalk.red(`❌ ${name} failed:`), error.message);
+      return 1;
+    }
+  }
+
+  // Spinner that stays silent while printing JSON, so stdout holds only the document
+  spinner(text) {
+    return ora({ text, isSilent: this.json }).start();
+  }
+
+  // Print a JSON document for `command` and return the exit code for its outcome
+  printJson(command, fields) {
+    const { name, package: packageName, displayName } = this.updater.tool;
+    const document = {
+      schemaVersion: JSON_SCHEMA_VERSION,
+      command,
+      tool: { name, package: packageName, displayName },
+      ...fields
+    };
+
+    console.log(JSON.stringify(document, null, 2));
+    return fields.outcome ? EXIT_CODES[fields.outcome] : 0;
+  }
+
+  // Outcome and version fields shared by `status` and `check`. `error` is the error
+  // from resolving the target version, if any.
+  getUpdateReport(currentVersion, target, error) {
+    const channel = this.updater.getChannel();
+    const offline = this.updater.isOffline() || Boolean(error && error.offline);
+    const updateAvailable = Boolean(target && this.updater.isUpdateNeeded(currentVersion, target));
+
+    let outcome = updateAvailable ? 'update-available' : 'up-to-date';
+    if (offline) {
+      outcome = 'offline';
+    } else if (error) {
+      outcome = 'error';
+    }
+
+    return {
+      outcome,
+      installedVersion: currentVersion || null,
+      latestVersion: target ? target.latest : null,
+      targetVersion: (target && target.version) || null,
+      updateAvailable,
+      channel,
+      distTag: this.updater.getDistTag(channel),
+      offline,
+      error: error ? error.message : null
+    };
+  }
+
+  async status() {
+    const spinner = this.spinner(`Checking ${this.displayName} status...`);
+    const currentVersion = await this.updater.getCurrentVersion();
+    let target = null;
+    let latestError = null;
+
+    try {
+      target = await this.updater.resolveTargetVersion();
+    } catch (error) {
+      latestError = error;
+    }
+
+    const selfUpdate = new SelfUpdate();
+    let selfTarget = null;
+    try {
+      selfTarget = await selfUpdate.getTarget();
+    } catch (error) {
+      this.logger.debug('Could not check for gemini-cli-updater updates:', error.message);
+    }
+    spinner.stop();
+
+    if (this.json) {
+      return this.printStatusJson(currentVersion, target, latestError, selfUpdate, selfTarget);
+    }
+
+    const latestVersion = target && target.version;
+
+    const lastCheck = this.config.getLastUpdateCheck();
+    const lastUpdate = this.config.getLastUpdateTime();
+
+    const channel = this.updater.getChannel();
+
+    console.log(chalk.cyan(`${this.displayName} status (managed by gemini-cli-updater)`));
+    console.log(chalk.white(`  Update mode:       ${this.config.getUpdateMode()}`));
+    const policy = this.config.getPolicy();
+    if (this.config.policyError) {
+      console.log(chalk.red(`  Policy:            ${this.config.policyError.message}`));
+    } else if (policy.isActive()) {
+      const rules = [
+        policy.minVersion && `min ${policy.minVersion}`,
+        policy.maxVersion && `max ${policy.maxVersion}`,
+        policy.lockedSettings.length > 0 && `locked: ${policy.lockedSettings.join(', ')}`,
+        policy.registry && `registry ${policy.registry}`
+      ].filter(Boolean);
+      console.log(chalk.white(`  Policy:            ${policy.file}${rules.length > 0 ? ` (${rules.join('; ')})` : ''}`));
+    }
+    console.log(chalk.white(`  Channel:           ${channel} (dist-tag: ${this.updater.getDistTag(channel)})`));
+    console.log(chalk.white(`  Installed version: ${currentVersion || chalk.red('not installed')}`));
+    console.log(chalk.white(`  Latest version:    ${target ? target.latest : chalk.yellow(`unknown (${latestError.message})`)}`));
+    const metadata = this.updater.metadata;
+    if (metadata && metadata.fetchedAt) {
+      const age = this.formatAge(Date.now() - metadata.fetchedAt);
+      console.log(metadata.offline
+        ? chalk.yellow(`  Registry data:     cached ${age} ago (registry unreachable, offline)`)
+        : chalk.white(`  Registry data:     fetched ${age} ago`));
+    }
+    console.log(chalk.white(`  Updater version:   ${selfUpdate.currentVersion} ${this.describeSelfUpdate(selfUpdate, selfTarget)}`));
+
+    if (target && target.constraint) {
+      console.log(chalk.white(`  Constraint:        ${target.constraint} (resolves to ${target.version})`));
+      if (target.heldBack) {
+        console.log(chalk.yellow(`  ⏸️  ${target.latest} is available but held back by the version constraint`));
+      }
+    }
+
+    if (latestVersion && latestVersion !== target.latest && !target.constraint) {
+      console.log(chalk.white(`  Eligible version:  ${latestVersion}`));
+    }
+
+    // Explain newer versions that won't be installed; health check failures are listed below
+    for (const { version, reason } of (target && target.skipped) || []) {
+      if ((!currentVersion || semver.gt(version, currentVersion)) && !this.config.isBadVersion(version)) {
+        console.log(chalk.yellow(`  ⏭️  ${version} skipped: ${reason}`));
+      }
+    }
+    if (target && !latestVersion) {
+      console.log(chalk.yellow('  No published version is currently eligible for installation'));
+    }
+
+    if (currentVersion && latestVersion) {
+      const upToDate = !this.updater.isUpdateNeeded(currentVersion, target);
+      console.log(upToDate
+        ? chalk.green('  ✅ Up to date')
+        : chalk.yellow(`  ⬆️  Update available, run: ${this.prefix} update`));
+    }
+
+    const projectVersion = new ProjectVersion(this.updater.tool).find();
+    if (projectVersion) {
+      console.log(chalk.white(`  Project version:   ${projectVersion.version} (from ${projectVersion.source})`));
+    }
+
+    for (const [version, { reason }] of Object.entries(this.config.getBadVersions())) {
+      console.log(chalk.red(`  ⛔ ${version} blocked after failed health check: ${reason}`));
+    }
+
+    console.log(chalk.white(`  Last check:        ${this.formatTime(lastCheck)}`));
+    console.log(chalk.white(`  Last update:       ${this.formatTime(lastUpdate)}`));
+    const packageManager = this.updater.getPackageManager();
+    const preferred = this.config.getSettings().packageManager;
+    console.log(chalk.white(`  Package manager:   ${packageManager.name} (${preferred === 'auto' ? (packageManager.detected ? 'detected' : 'default') : 'configured'})`));
+    console.log(chalk.white(`  Config file:       ${this.config.getConfigPath()}`));
+    console.log(chalk.white(`  Log file:          ${this.logger.getLogPath()}`));
+  }
+
+  printStatusJson(currentVersion, target, latestError, selfUpdate, selfTarget) {
+    const policy = this.config.getPolicy();
+    const metadata = this.updater.metadata;
+    const projectVersion = new ProjectVersion(this.updater.tool).find();
+    const packageManager = this.updater.getPackageManager();
+
+    return this.printJson('status', {
+      ...this.getUpdateReport(currentVersion, target, latestError),
+      updateMode: this.config.getUpdateMode(),
+      constraint: (target && target.constraint) || null,
+      heldBack: Boolean(target && target.heldBack),
+      skipped: (target && target.skipped) || [],
+      badVersions: Object.entries(this.config.getBadVersions()).map(([version, { reason }]) => ({ version, reason })),
+      projectVersion: projectVersion ? { version: projectVersion.version, source: projectVersion.source } : null,
+      policy: policy.isActive() ? {
+        file: policy.file,
+        minVersion: policy.minVersion || null,
+        maxVersion: policy.maxVersion || null,
+        lockedSettings: policy.lockedSettings,
+        registry: policy.registry || null
+      } : null,
+      policyError: this.config.policyError ? this.config.policyError.message : null,
+      registryFetchedAt: (metadata && metadata.fetchedAt) || null,
+      lastCheck: this.config.getLastUpdateCheck() || null,
+      lastUpdate: this.config.getLastUpdateTime() || null,
+      packageManager: packageManager.name,
+      updater: {
+        version: selfUpdate.currentVersion,
+        latestVersion: selfTarget ? selfTarget.version : null,
+        updateAvailable: Boolean(selfTarget && selfTarget.available)
+      },
+      configFile: this.config.getConfigPath(),
+      logFile: this.logger.getLogPath()
+    });
+  }
+
+  // Look for a newer version without installing it. Unlike status, the exit code tells
+  // the outcome even without --json, so scripts can just test it.
+  async check() {
+    const spinner = this.spinner(`Checking for ${this.displayName} updates...`);
+    const currentVersion = await this.updater.getCurrentVersion();
+    let target = null;
+    let targetError = null;
+
+    try {
+      target = await this.updater.resolveTargetVersion();
+    } catch (error) {
+      targetError = error;
+    }
+
+    const report = this.getUpdateReport(currentVersion, target, targetError);
+    if (this.json) {
+      spinner.stop();
+      return this.printJson('check', report);
+    }
+
+    switch (report.outcome) {
+      case 'offline':
+        spinner.warn(chalk.yellow('Registry unreachable, could not check for updates'));
+        break;
+      case 'error':
+        spinner.fail(chalk.red(`Could not check for ${this.displayName} updates`));
+        throw targetError;
+      case 'update-available':
+        spinner.info(chalk.yellow(`${this.displayName} ${report.targetVersion} is available (installed: ${currentVersion || 'none'}), run: ${this.prefix} update`));
+        break;
+      default:
+        spinner.succeed(chalk.blue(report.targetVersion
+          ? `${this.displayName} ${currentVersion} is up to date`
+          : `No eligible ${this.displayName} version to update to`));
+    }
+    return EXIT_CODES[report.outcome];
+  }
+
+  // Status note for the wrapper's own version
+  describeSelfUpdate(selfUpdate, target) {
+    if (!target) return chalk.yellow('(latest unknown)');
+    if (!target.available) return chalk.green('(up to date)');
+
+    const { selfUpdate: enabled } = selfUpdate.config.getSettings();
+    return chalk.yellow(enabled && selfUpdate.config.getUpdateMode() === 'auto'
+      ? `(${target.version} available, installs in the background)`
+      : `(${target.version} available, run: ${this.prefix} update --self)`);
+  }
+
+  async update(args) {
+    if (args.includes('--self')) {
+      return this.updateSelf();
+    }
+
+    const force = args.includes('--force');
+    const spinner = this.spinner(`Checking for ${this.displayName} updates...`);
+    const fromVersion = await this.updater.getCurrentVersion();
+    const result = async (outcome, error = null) => this.printJson('update', {
+      outcome,
+      fromVersion: fromVersion || null,
+      toVersion: (await this.updater.getCurrentVersion()) || null,
+      error: error ? error.message : null
+    });
+
+    try {
+      // --force reinstalls the latest version even when already up to date
+      if (force) {
+        spinner.text = `Updating ${this.displayName}...`;
+        await this.updater.performUpdate();
+        if (this.json) return result('updated');
+        spinner.succeed(chalk.green(`${this.displayName} updated successfully!`));
+        return 0;
+      }
+
+      const updated = await this.updater.forceUpdate();
+      if (this.updater.isOffline()) {
+        if (this.json) return result('offline');
+        spinner.warn(chalk.yellow('Registry unreachable, could not check for updates'));
+        return EXIT_CODES.offline;
+      }
+      if (this.json) return result(updated ? 'updated' : 'up-to-date');
+      if (updated) {
+        spinner.succeed(chalk.green(`${this.displayName} updated successfully!`));
+      } else {
+        spinner.succeed(chalk.blue(`${this.displayName} is up to date`));
+      }
+      return 0;
+    } catch (error) {
+      if (this.json) {
+        this.logger.log('error', 'Command update failed:', error.message);
+        return result(error.offline ? 'offline' : 'update-failed', error);
+      }
+      if (error.offline) {
+        spinner.warn(chalk.yellow(`Registry unreachable, could not update ${this.displayName}`));
+        return EXIT_CODES.offline;
+      }
+      spinner.fail(chalk.red(`${this.displayName} update failed`));
+      throw error;
+    }
+  }
+
+  // Update gemini-cli-updater itself now, regardless of selfUpdate and its cooldown
+  async updateSelf() {
+    const selfUpdate = new SelfUpdate();
+    const spinner = this.spinner('Checking for gemini-cli-updater updates...');
+    const result = (outcome, toVersion, error = null) => this.printJson('update', {
+      tool: { name: Schema.SELF_NAME, package: selfUpdate.packageName, displayName: selfUpdate.packageName },
+      outcome,
+      fromVersion: selfUpdate.currentVersion,
+      toVersion,
+      error: error ? error.message : null
+    });
+
+    try {
+      const manager = selfUpdate.getPackageManager();
+      if (!manager) {
+        throw new Error(`${SelfUpdate.PACKAGE_DIR} is not a global install; update it the way it was installed`);
+      }
+
+      const target = await selfUpdate.getTarget();
+      selfUpdate.config.setLastUpdateCheck(Date.now());
+      if (!target.available) {
+        if (this.json) return result('up-to-date', selfUpdate.currentVersion);
+        spinner.succeed(chalk.blue(`gemini-cli-updater ${selfUpdate.currentVersion} is up to date`));
+        return 0;
+      }
+
+      spinner.text = `Updating gemini-cli-updater to ${target.version}...`;
+      await selfUpdate.install(target.version, manager);
+      if (this.json) return result('updated', target.version);
+      spinner.succeed(chalk.green(`gemini-cli-updater updated from ${selfUpdate.currentVersion} to ${target.version}`));
+      return 0;
+    } catch (error) {
+      if (this.json) {
+        this.logger.log('error', 'Command update --self failed:', error.message);
+        return result(error.offline ? 'offline' : 'update-failed', selfUpdate.currentVersion, error);
+      }
+      if (error.offline) {
+        spinner.warn(chalk.yellow('Registry unreachable, could not update gemini-cli-updater'));
+        return EXIT_CODES.offline;
+      }
+      spinner.fail(chalk.red('gemini-cli-updater update failed'));
+      throw error;
+    }
+  }
+
+  async rollback(args) {
+    const targetVersion = args.find(arg => !arg.startsWith('-')) || null;
+    const spinner = this.spinner(`Rolling back ${this.displayName}${targetVersion ? ` to ${targetVersion}` : ''}...`);
+
+    try {
+      const version = await this.updater.rollbackToPreviousVersion(targetVersion);
+      spinner.succeed(chalk.green(`${this.displayName} rolled back to ${version}`));
+    } catch (error) {
+      spinner.fail(chalk.red('Rollback failed'));
+      throw error;
+    }
+  }
+
+  async use(args) {
+    const version = args.find(arg => !arg.startsWith('-'));
+    if (!version) throw new Error(`Usage: ${this.prefix} use <version>`);
+
+    const installed = this.updater.store.has(version);
+    const spinner = this.spinner(installed ? `Switching to ${version}...` : `Installing ${this.displayName} ${version}...`);
+
+    try {
+      await this.updater.useVersion(version);
+      spinner.succeed(chalk.green(`Now using ${this.displayName} ${version}`));
+    } catch (error) {
+      spinner.fail(chalk.red(`Could not switch to ${version}`));
+      throw error;
+    }
+  }
+
+  list() {
+    const versions = this.updater.store.list();
+    const activeVersion = this.config.getActiveVersion();
+    const projectVersion = new ProjectVersion(this.updater.tool).find();
+
+    if (versions.length === 0) {
+      console.log(chalk.gray('No versions in the version store yet.'));
+      console.log(chalk.gray(`Install one with: ${this.prefix} use <version>`));
+      return 0;
+    }
+
+    console.log(chalk.cyan(`Installed versions (${this.updater.store.baseDir}):`));
+    for (const version of versions) {
+      const marks = [];
+      if (version === activeVersion) marks.push('active');
+      if (projectVersion && version === projectVersion.version) marks.push('project');
+      if (this.config.isBadVersion(version)) marks.push('failed health check');
+
+      const line = `  ${version === activeVersion ? '*' : ' '} ${version}${marks.length ? ` (${marks.join(', ')})` : ''}`;
+      console.log(version === activeVersion ? chalk.green(line) : chalk.white(line));
+    }
+    return 0;
+  }
+
+  prune(args) {
+    const keepIndex = args.indexOf('--keep');
+    const keep = keepIndex !== -1 ? parseInt(args[keepIndex + 1], 10) : this.config.getMaxVersionHistory();
+    if (!Number.isInteger(keep) || keep < 1) throw new Error('--keep must be a positive number');
+
+    // The current project's pinned version is kept along with the active one
+    const projectVersion = new ProjectVersion(this.updater.tool).find();
+    const protect = [this.config.getActiveVersion(), projectVersion && projectVersion.version].filter(Boolean);
+    const removed = this.updater.store.prune(keep, protect);
+
+    if (removed.length === 0) {
+      console.log(chalk.gray('Nothing to prune.'));
+    } else {
+      console.log(chalk.green(`✅ Removed ${removed.length} version(s): ${removed.join(', ')}`));
+    }
+    return 0;
+  }
+
+  history(args) {
+    const limitIndex = args.indexOf('--limit');
+    const limit = limitIndex !== -1 ? parseInt(args[limitIndex + 1], 10) || 20 : 20;
+    const entries = this.config.getVersionHistory().slice(-limit);
+
+    if (this.json) {
+      return this.printJson('history', {
+        entries: entries.map(entry => ({
+          id: entry.id || null,
+          action: entry.action || 'update',
+          from: entry.from || null,
+          to: entry.to || null,
+          outcome: entry.outcome,
+          startedAt: entry.startedAt || null,
+          finishedAt: entry.finishedAt || null,
+          exitCode: entry.exitCode === undefined ? null : entry.exitCode,
+          error: entry.error || null,
+          verification: entry.verification || null
+        }))
+      });
+    }
+
+    if (entries.length === 0) {
+      console.log(chalk.gray('No version history yet.'));
+      return 0;
+    }
+
+    const rows = entries.map(entry => {
+      const { startedAt } = entry;
+      return [
+        this.formatTime(startedAt),
+        entry.action || 'update',
+        entry.from || '-',
+        entry.to || '-',
+        entry.outcome,
+        entry.finishedAt && startedAt ? `${((entry.finishedAt - startedAt) / 1000).toFixed(1)}s` : '-',
+        entry.exitCode === null || entry.exitCode === undefined ? '-' : String(entry.exitCode),
+        this.formatVerification(entry.verification),
+        entry.error ? entry.error.split('\n')[0] : ''
+      ];
+    });
+
+    const headers = ['Started', 'Action', 'From', 'To', 'Outcome', 'Duration', 'Exit', 'Verified', 'Error'];
+    const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+    const format = row => row.map((cell, i) => (i === row.length - 1 ? cell : cell.padEnd(widths[i]))).join('  ');
+    const colors = { success: chalk.green, failed: chalk.red, 'rolled-back': chalk.yellow, pending: chalk.gray };
+
+    console.log(chalk.cyan(format(headers)));
+    for (const row of rows) {
+      console.log((colors[row[4]] || chalk.white)(format(row)));
+    }
+    return 0;
+  }
+
+  allow(args) {
+    const version = args.find(arg => !arg.startsWith('-'));
+    if (!version) throw new Error(`Usage: ${this.prefix} allow <version>`);
+
+    if (!this.config.allowVersion(version)) {
+      console.log(chalk.gray(`${version} is not marked as bad or on the local denylist.`));
+      return 0;
+    }
+
+    console.log(chalk.green(`✅ ${version} may be installed again`));
+    return 0;
+  }
+
+  deny(args) {
+    const [range, ...reasonWords] = args.filter(arg => !arg.startsWith('-'));
+    if (!range) throw new Error(`Usage: ${this.prefix} deny <version|range> [reason]`);
+    if (!semver.validRange(range)) throw new Error(`Invalid version or range: ${range}`);
+
+    this.config.denyVersion(range, reasonWords.join(' ') || null);
+    console.log(chalk.green(`⛔ ${range} will not be installed automatically (undo with: ${this.prefix} allow ${range})`));
+    return 0;
+  }
+
+  async channel(args) {
+    const name = args.find(arg => !arg.startsWith('-'));
+
+    if (!name) {
+      const spinner = this.spinner('Fetching dist-tags...');
+      const packument = await this.updater.getPackument();
+      spinner.stop();
+
+      const current = this.updater.getChannel();
+      console.log(chalk.cyan(`Current channel: ${current} (dist-tag: ${this.updater.getDistTag(current)})`));
+      console.log(chalk.white('\nAvailable dist-tags:'));
+      for (const [tag, version] of Object.entries(packument['dist-tags'])) {
+        console.log(chalk.gray(`  ${tag.padEnd(12)} ${version}`));
+      }
+      return 0;
+    }
+
+    const spinner = this.spinner(`Switching to ${name} channel...`);
+    try {
+      const result = await this.updater.switchChannel(name, args.includes('--downgrade'));
+
+      switch (result.action) {
+        case 'upgrade':
+        case 'downgrade':
+          spinner.succeed(chalk.green(`Switched to ${name} channel and installed ${result.version}`));
+          break;
+        case 'held':
+          spinner.warn(chalk.yellow(`Switched to ${name} channel, keeping ${result.currentVersion} (newer than ${result.version})`));
+          console.log(chalk.white(`  Run: ${this.prefix} channel ${name} --downgrade  to install ${result.version} now`));
+          break;
+        default:
+          spinner.succeed(chalk.green(`Switched to ${name} channel (${result.version} already installed)`));
+      }
+      return 0;
+    } catch (error) {
+      spinner.fail(chalk.red('Channel switch failed'));
+      throw error;
+    }
+  }
+
+  configCommand(args) {
+    const [action = 'list', key, value] = args;
+
+    switch (action) {
+      case 'list':
+        console.log(JSON.stringify(this.config.getSettings(), null, 2));
+        return 0;
+
+      case 'get': {
+        if (!key) throw new Error(`Usage: ${this.prefix} config get <key>`);
+        const settings = this.config.getSettings();
+        if (!(key in Schema.SETTINGS)) throw new Error(`Unknown setting: ${key}`);
+        console.log(JSON.stringify(settings[key]));
+        return 0;
+      }
+
+      case 'set': {
+        if (!key || value === undefined) throw new Error(`Usage: ${this.prefix} config set <key> <value>`);
+        if (!(key in Schema.SETTINGS)) throw new Error(`Unknown setting: ${key}`);
+        this.config.updateSettings({ [key]: this.parseValue(value) });
+        console.log(chalk.green(`✅ ${key} = ${JSON.stringify(this.parseValue(value))}`));
+
+        // A project file, environment variable or flag may still win over config.json
+        const { from, value: effective, layers } = this.config.explainSetting(key);
+        if (from !== (Schema.SETTINGS[key].tool ? 'tool' : 'user')) {
+          const layer = layers.find(item => item.name === from);
+          console.log(chalk.yellow(`⚠️  Overridden by ${layer.source}, effective value is ${JSON.stringify(effective)}`));
+        }
+        return 0;
+      }
+
+      case 'explain': {
+        if (!key) throw new Error(`Usage: ${this.prefix} config explain <key>`);
+        this.explainSetting(key);
+        return 0;
+      }
+
+      case 'export': {
+        const data = JSON.stringify(this.config.exportConfig(), null, 2);
+        if (key) {
+          fs.writeFileSync(key, data + '\n');
+          console.log(chalk.green(`✅ Config exported to ${key}`));
+        } else {
+          console.log(data);
+        }
+        return 0;
+      }
+
+      case 'import': {
+        if (!key) throw new Error(`Usage: ${this.prefix} config import <file>`);
+        let configData;
+        try {
+          configData = JSON.parse(fs.readFileSync(key, 'utf8'));
+        } catch (error) {
+          throw new Error(`Could not read config file ${key}: ${error.message}`);
+        }
+        try {
+          this.config.importConfig(configData);
+        } catch (error) {
+          throw new Error(`Invalid config file ${key}: ${error.message}`);
+        }
+        console.log(chalk.green(`✅ Config imported from ${key}`));
+        return 0;
+      }
+
+      case 'path':
+        console.log(this.config.getConfigPath());
+        return 0;
+
+      default:
+        throw new Error(`Unknown config action: ${action}`);
+    }
+  }
+
+  explainSetting(key) {
+    const { value, from, locked, layers } = this.config.explainSetting(key);
+    const rows = layers.map(layer => [
+      layer.name,
+      layer.set ? JSON.stringify(layer.value) : '-',
+      layer.source || (layer.name === 'project' ? `no ${Config.PROJECT_FILE} found` : 'none')
+    ]);
+    const widths = [0, 1].map(i => Math.max(...rows.map(row => row[i].length)));
+
+    console.log(chalk.cyan.bold(`${key} = ${JSON.stringify(value)}`));
+    rows.forEach((row, i) => {
+      const line = `  ${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2]}`;
+      console.log(layers[i].name === from ? chalk.green(`${line}  <- used`) : chalk.gray(line));
+    });
+    if (locked) {
+      console.log(chalk.yellow(`🔒 Locked by policy ${this.config.getPolicy().file}`));
+    }
+  }
+
+  // Managed tools: list, add <name> <package> [--bin cmd] [--name "Display Name"] [--channel tag], remove <name>
+  tools(args) {
+    const [action = 'list', name, packageName] = args;
+    const option = flag => {
+      const index = args.indexOf(flag);
+      return index !== -1 ? args[index + 1] : undefined;
+    };
+
+    switch (action) {
+      case 'list': {
+        for (const tool of Object.values(this.config.getTools())) {
+          const installed = new Config(tool.name).getActiveVersion();
+          const line = `  ${tool.name.padEnd(12)} ${tool.package.padEnd(28)} ${tool.bin.padEnd(10)} ${(installed || '-').padEnd(10)} ${tool.source}`;
+          console.log(tool.name === this.updater.toolName ? chalk.green(line) : chalk.white(line));
+        }
+        return 0;
+      }
+
+      case 'add': {
+        if (!name || !packageName || packageName.startsWith('-')) {
+          throw new Error(`Usage: ${this.prefix} tools add <name> <package> [--bin cmd] [--name "Display Name"] [--channel tag]`);
+        }
+        const definition = { package: packageName, bin: option('--bin') || name };
+        if (option('--name')) definition.displayName = option('--name');
+        if (option('--channel')) definition.settings = { channel: option('--channel') };
+
+        const tool = this.config.addTool(name, definition);
+        console.log(chalk.green(`✅ ${tool.displayName} (${tool.package}) is now managed as "${tool.name}"`));
+
+        // The alias is what makes `<bin>` go through the wrapper
+        const target = `gemini-cli-updater ${TOOL_FLAG}${tool.name}`;
+        try {
+          if (new ShellDetector().addAlias(tool.bin, target)) {
+            console.log(chalk.white(`  Added alias ${tool.bin} -> ${target}; restart your terminal to use it`));
+          }
+        } catch (error) {
+          console.log(chalk.yellow(`⚠️  Could not add a shell alias (${error.message}); run it with: ${target}`));
+        }
+        console.log(chalk.white(`  Install it with: ${tool.bin} ${NAMESPACE} update`));
+        return 0;
+      }
+
+      case 'remove': {
+        if (!name) throw new Error(`Usage: ${this.prefix} tools remove <name>`);
+        const tool = this.config.getTool(name);
+        this.config.removeTool(name);
+
+        const versionsDir = path.join(this.updater.store.rootDir, name);
+        fs.rmSync(versionsDir, { recursive: true, force: true });
+        try {
+          new ShellDetector().removeAlias(tool.bin);
+        } catch (error) {
+          console.log(chalk.yellow(`⚠️  Could not remove the ${tool.bin} alias: ${error.message}`));
+        }
+        console.log(chalk.green(`✅ ${tool.displayName} is no longer managed; removed ${versionsDir}`));
+        return 0;
+      }
+
+      default:
+        throw new Error(`Unknown tools action: ${action}`);
+    }
+  }
+
+  logs(args) {
+    if (args.includes('--clear')) {
+      this.logger.clearLog();
+      console.log(chalk.green('✅ Log file cleared'));
+      return 0;
+    }
+
+    const tailIndex = args.indexOf('--tail');
+    const lines = tailIndex !== -1 ? parseInt(args[tailIndex + 1], 10) || 50 : 50;
+    const entries = this.logger.getRecentLogs(lines);
+
+    if (entries.length === 0) {
+      console.log(chalk.gray('No log entries yet.'));
+      return 0;
+    }
+
+    entries.forEach(line => console.log(line));
+    return 0;
+  }
+
+  help() {
+    const commands = [
+      ['status [--json]', 'Show installed and latest versions'],
+      ['check [--json]', 'Check for an update without installing it (exit code 10 if one is available)'],
+      ['update [--force] [--json]', 'Update now, ignoring the cooldown (--force reinstalls)'],
+      ['update --self [--json]', 'Update gemini-cli-updater itself now'],
+      ['rollback [version]', 'Switch back to the previous or a specific version'],
+      ['use <version>', 'Switch to a version, installing it if needed'],
+      ['list', 'List versions in the version store'],
+      ['prune [--keep N]', 'Remove old versions (default keeps maxVersionHistory)'],
+      ['history [--json] [--limit N]', 'Show version history (default last 20 entries)'],
+      ['allow <version>', 'Allow a failed or denylisted version again'],
+      ['deny <version|range> [reason]', 'Never install a version automatically'],
+      ['channel [name] [--downgrade]', 'Show dist-tags or switch release channel'],
+      ['config list', 'Show current settings'],
+      ['config get <key>', 'Show a single setting'],
+      ['config set <key> <value>', 'Change a setting'],
+      ['config explain <key>', 'Show where a setting\'s value comes from'],
+      ['config export [file]', 'Print or save the full config'],
+      ['config import <file>', 'Restore config from a backup'],
+      ['config path', 'Show the config file location'],
+      ['tools list', 'List managed tools'],
+      ['tools add <name> <package> [...]', 'Manage another CLI (--bin cmd, --name "Display Name", --channel tag)'],
+      ['tools remove <name>', 'Stop managing a tool and delete its installed versions'],
+      ['doctor [--fix]', 'Diagnose the installation (--fix repairs what it safely can)'],
+      ['logs [--tail N] [--clear]', 'Show the last N log lines (default 50)'],
+      ['help', 'Show this help message']
+    ];
+
+    console.log(chalk.blue(`Gemini CLI Updater - management commands for ${this.displayName}`));
+    console.log(chalk.white(`\nUsage: ${this.prefix} <command> [options]`));
+    console.log(chalk.white('\nCommands:'));
+    for (const [usage, description] of commands) {
+      console.log(chalk.gray(`  ${usage.padEnd(34)} ${description}`));
+    }
+    console.log(chalk.white(`\nAll other arguments are passed through to ${this.displayName}.`));
+  }
+
+  // Accept JSON literals (numbers, booleans, null) and fall back to plain strings
+  parseValue(value) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  // Short summary of PackageVerifier results for the history table
+  formatVerification(verification) {
+    if (!verification) return '-';
+
+    const checks = [];
+    if (verification.integrity === 'verified') checks.push('sha512');
+    if (verification.signature === 'verified') checks.push('sig');
+    if (verification.provenance === 'verified') checks.push('provenance');
+    return checks.length > 0 ? checks.join('+') : 'unverified';
+  }
+
+  formatAge(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.round(seconds / 3600)}h`;
+    return `${Math.round(seconds / 86400)}d`;
+  }
+
+  formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : 'never';
+  }
+}
+
+Commands.NAMESPACE = NAMESPACE;
+Commands.TOOL_FLAG = TOOL_FLAG;
+
+module.exports = Commands;
@@ -0,0 +1,274 @@
+const semver = require('semver');
+const PackageManager = require('./package-manager');
+
+// Version of the config.json layout. Bump it and add a migration below whenever stored
+// data changes shape, so files written by older releases keep working.
+const CONFIG_VERSION = 2;
+
+const UPDATE_MODES = ['auto', 'prompt', 'notify', 'off'];
+
+// Checks return an error fragment ("must be ...") or null when the value is valid
+const integer = min => value =>
+  (Number.isInteger(value) && value >= min ? null : `must be a whole number >= ${min}`);
+const number = min => value =>
+  (typeof value === 'number' && Number.isFinite(value) && value >= min ? null : `must be a number >= ${min}`);
+const boolean = value => (typeof value === 'boolean' ? null : 'must be true or false');
+const oneOf = choices => value => (choices.includes(value) ? null : `must be one of: ${choices.join(', ')}`);
+const nullable = check => value => (value === null ? null : check(value));
+const string = value => (typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string');
+const range = value =>
+  (typeof value === 'string' && semver.validRange(value) ? null : 'must be a semver range or exact version');
+const denylist = value => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object of version or range -> reason';
+  const bad = Object.keys(value).find(key => !semver.validRange(key));
+  if (bad !== undefined) return `has an invalid version or range "${bad}"`;
+  const badReason = Object.keys(value).find(key => value[key] !== null && typeof value[key] !== 'string');
+  return badReason !== undefined ? `has a non-string reason for "${badReason}"` : null;
+};
+
+// Every setting with its default and check. `project: false` settings can't be set
+// from a project's .gemini-updater.json: a cloned repository must not be able to run
+// commands on update, turn off signature or health checks, or let in versions the
+// user's denylists or release age would hold back. `tool: true` settings describe one
+// tool's releases, so `config set` stores them per tool rather than for all tools.
+const SETTINGS = {
+  updateCooldown: { default: 60 * 60 * 1000, check: integer(0) }, // 1 hour
+  maxVersionHistory: { default: 10, check: integer(1) },
+  enableLogging: { default: true, check: boolean },
+  autoUpdate: { default: true, check: boolean },
+  updateMode: { default: 'auto', check: oneOf(UPDATE_MODES) },
+  backgroundUpdate: { default: false, check: boolean }, // launch immediately and update in a detached worker
+  nonInteractiveUpdates: { default: false, check: boolean }, // also check for updates in CI, pipes and scripts
+  packageManager: { default: 'auto', check: oneOf(['auto', ...PackageManager.NAMES]) },
+  channel: { default: 'stable', check: string, tool: true }, // stable, preview, nightly or any npm dist-tag
+  versionConstraint: { default: null, check: nullable(range), tool: true }, // e.g. ^0.3.0
+  healthCheck: { default: true, check: boolean, project: false },
+  healthCheckCommand: { default: null, check: nullable(string), project: false, tool: true }, // must exit 0 after an update
+  healthCheckTimeout: { default: 30 * 1000, check: integer(1) },
+  checkTimeout: { default: 10 * 1000, check: integer(1) }, // per registry request
+  installTimeout: { default: 5 * 60 * 1000, check: integer(1) }, // per package manager install
+  maxRetries: { default: 2, check: integer(0) }, // retries for transient registry errors (ECONNRESET, 5xx, 429)
+  updateTimeBudget: { default: 2 * 60 * 1000, check: integer(1) }, // total check + install time at launch
+  allowUnsignedVersions: { default: false, check: boolean, project: false },
+  minReleaseAgeHours: { default: 0, check: number(0), project: false }, // ignore versions published more recently than this
+  deniedVersions: { default: {}, check: denylist, project: false, tool: true }, // never installed automatically
+  denylistUrl: { default: null, check: nullable(string), project: false, tool: true }, // team denylist, http(s) URL or file path
+  selfUpdate: { default: true, check: boolean }, // keep gemini-cli-updater itself current
+  selfUpdateCooldown: { default: 24 * 60 * 60 * 1000, check: integer(0) } // 1 day
+};
+
+function getDefaultSettings() {
+  const defaults = {};
+  for (const [key, { default: value }] of Object.entries(SETTINGS)) {
+    defaults[key] = value && typeof value === 'object' ? { ...value } : value;
+  }
+  return defaults;
+}
+
+// Error message for one setting, e.g. 'settings.maxRetries must be a whole number >= 0 (got "3")',
+// or null when it is valid
+function validateSetting(key, value, { project = true } = {}) {
+  const spec = SETTINGS[key];
+  if (!spec) return `settings.${key} is not a known setting`;
+  if (!project && spec.project === false) return `settings.${key} can't be set in a project file`;
+
+  const problem = spec.check(value);
+  return problem ? `settings.${key} ${problem} (got ${JSON.stringify(value)})` : null;
+}
+
+// All problems in a settings object, one message per key
+function validateSettings(settings, options) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['settings must be an object'];
+  }
+  return Object.keys(settings)
+    .map(key => validateSetting(key, settings[key], options))
+    .filter(Boolean);
+}
+
+// Tool used when the wrapper is started without naming one, e.g. as `gemini`
+const DEFAULT_TOOL = 'gemini';
+
+// State name for the wrapper's own package (self-update); never a tool name
+const SELF_NAME = 'gemini-cli-updater';
+
+// Tools that are managed without any configuration; more are added under `tools` in
+// config.json (`updater tools add`) or the team policy
+const BUILT_IN_TOOLS = {
+  gemini: { package: '@google/gemini-cli', bin: 'gemini', displayName: 'Gemini CLI' }
+};
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+const PACKAGE_PATTERN = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/;
+
+// Problems with one tool definition: { package, bin, displayName, settings }.
+// `partial` definitions (settings or policy sections for a known tool) may leave out
+// the package.
+function validateTool(name, tool, { partial = false } = {}) {
+  if (!NAME_PATTERN.test(name)) return [`tools.${name} is not a valid tool name (lowercase letters, digits, ".", "_" and "-")`];
+  if (!isObject(tool)) return [`tools.${name} must be an object`];
+
+  const errors = [];
+  if (tool.package !== undefined || !partial) {
+    if (typeof tool.package !== 'string' || !PACKAGE_PATTERN.test(tool.package)) errors.push(`tools.${name}.package must be an npm package name`);
+  }
+  if (tool.bin !== undefined && (typeof tool.bin !== 'string' || !NAME_PATTERN.test(tool.bin))) {
+    errors.push(`tools.${name}.bin must be a command name`);
+  }
+  if (tool.displayName !== undefined && string(tool.displayName)) {
+    errors.push(`tools.${name}.displayName must be a non-empty string`);
+  }
+  if (tool.settings !== undefined) {
+    errors.push(...validateSettings(tool.settings).map(problem => `tools.${name}.${problem}`));
+  }
+  return errors;
+}
+
+// Per-tool state kept under `state.<tool>` in config.json; self-update keeps the same
+// fields for the wrapper under `state.gemini-cli-updater`
+const STATE_FIELDS = {
+  lastUpdateCheck: { check: Number.isFinite, message: 'must be a timestamp' },
+  lastUpdateTime: { check: Number.isFinite, message: 'must be a timestamp' },
+  activeVersion: { check: value => Boolean(semver.valid(value)), message: 'must be an exact version' },
+  updateNotice: { check: isObject, message: 'must be an object' },
+  badVersions: { check: isObject, message: 'must be an object of version -> details' },
+  versionHistory: { check: Array.isArray, message: 'must be an array' }
+};
+
+function getDefaultState() {
+  return {
+    lastUpdateCheck: null,
+    lastUpdateTime: null,
+    activeVersion: null,
+    updateNotice: null,
+    badVersions: {},
+    versionHistory: []
+  };
+}
+
+// Error message for a state field, or null when it is valid. Every field may be null.
+function validateStateField(tool, key, value) {
+  if (!STATE_FIELDS[key] || value === null || value === undefined) return null;
+  return STATE_FIELDS[key].check(value) ? null : `state.${tool}.${key} ${STATE_FIELDS[key].message} (got ${JSON.stringify(value)})`;
+}
+
+// All problems in a whole (migrated) config.json, as accepted by `config import`
+function validateConfig(config) {
+  if (!isObject(config)) {
+    return ['expected a JSON object'];
+  }
+
+  const errors = [];
+  if (config.settings !== undefined) errors.push(...validateSettings(config.settings));
+  if (config.tools !== undefined) {
+    if (!isObject(config.tools)) {
+      errors.push('tools must be an object of tool name -> definition');
+    } else {
+      // Built-in tools only carry settings; their package is known
+      for (const [name, tool] of Object.entries(config.tools)) errors.push(...validateTool(name, tool, { partial: name in BUILT_IN_TOOLS }));
+    }
+  }
+  if (config.state !== undefined) {
+    if (!isObject(config.state)) {
+      errors.push('state must be an object of tool name -> state');
+    } else {
+      for (const [tool, state] of Object.entries(config.state)) {
+        if (!isObject(state)) {
+          errors.push(`state.${tool} must be an object`);
+          continue;
+        }
+        errors.push(...Object.keys(STATE_FIELDS).map(key => validateStateField(tool, key, state[key])).filter(Boolean));
+      }
+    }
+  }
+  return errors;
+}
+
+// Migrations from each configVersion to the next. Files without configVersion are
+// version 0 (everything before versioning).
+const MIGRATIONS = {
+  0: config => {
+    // Older releases wrote every default setting on first run, so a default there isn't
+    // a choice the user made; dropping them lets policy settings and new defaults apply
+    const defaults = getDefaultSettings();
+    const settings = {};
+    for (const [key, value] of Object.entries(isObject(config.settings) ? config.settings : {})) {
+      if (JSON.stringify(value) !== JSON.stringify(defaults[key])) settings[key] = value;
+    }
+
+    // Before update transactions, history entries were { from, to, timestamp, success }
+    const history = Array.isArray(config.versionHistory) ? config.versionHistory : [];
+    const versionHistory = history.map((entry, index) => (!isObject(entry) || entry.outcome ? entry : {
+      id: `${(entry.timestamp || 0).toString(36)}-legacy${index}`,
+      action: 'update',
+      from: entry.from || null,
+      to: entry.to || null,
+      startedAt: entry.timestamp || null,
+      finishedAt: entry.timestamp || null,
+      outcome: entry.success === false ? 'failed' : 'success',
+      exitCode: null,
+      error: null,
+      verification: null
+    }));
+
+    return { ...config, settings, versionHistory };
+  },
+
+  1: config => {
+    // Update state and per-tool settings moved under state.<tool> and tools.<tool> when
+    // the wrapper learned to manage other CLIs; everything before that was Gemini CLI's
+    const state = {};
+    const rest = {};
+    for (const [key, value] of Object.entries(config)) {
+      if (key in STATE_FIELDS) {
+        state[key] = value;
+      } else {
+        rest[key] = value;
+      }
+    }
+
+    const settings = {};
+    const toolSettings = {};
+    for (const [key, value] of Object.entries(isObject(config.settings) ? config.settings : {})) {
+      if (SETTINGS[key] && SETTINGS[key].tool) {
+        toolSettings[key] = value;
+      } else {
+        settings[key] = value;
+      }
+    }
+
+    const tools = Object.keys(toolSettings).length > 0 ? { [DEFAULT_TOOL]: { settings: toolSettings } } : {};
+    return { ...rest, settings, tools, state: { [DEFAULT_TOOL]: state } };
+  }
+};
+
+// Bring a parsed config up to CONFIG_VERSION. Returns { config, migrated }.
+function migrate(config) {
+  let version = Number.isInteger(config.configVersion) ? config.configVersion : 0;
+  let result = config;
+
+  while (version < CONFIG_VERSION) {
+    result = { ...MIGRATIONS[version](result), configVersion: version + 1 };
+    version++;
+  }
+  return { config: result, migrated: result !== config };
+}
+
+module.exports = {
+  CONFIG_VERSION,
+  UPDATE_MODES,
+  SETTINGS,
+  getDefaultSettings,
+  validateSetting,
+  validateSettings,
+  DEFAULT_TOOL,
+  SELF_NAME,
+  BUILT_IN_TOOLS,
+  validateTool,
+  STATE_FIELDS,
+  getDefaultState,
+  validateStateField,
+  validateConfig,
+  migrate
+};
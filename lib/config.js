@@ -1,14 +1,95 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const semver = require('semver');
+const writeFileAtomic = require('./write-file-atomic');
+const Policy = require('./policy');
+const Schema = require('./config-schema');
+const UpdateLock = require('./update-lock');
 
+// Environment variables that override individual settings for the current process
+const ENV_OVERRIDES = {
+  GEMINI_UPDATER_COOLDOWN: { key: 'updateCooldown', type: 'number' },
+  GEMINI_UPDATER_MAX_HISTORY: { key: 'maxVersionHistory', type: 'number' },
+  GEMINI_UPDATER_ENABLE_LOGGING: { key: 'enableLogging', type: 'boolean' },
+  GEMINI_UPDATER_AUTO_UPDATE: { key: 'autoUpdate', type: 'boolean' },
+  GEMINI_UPDATER_MODE: { key: 'updateMode', type: 'string' },
+  GEMINI_UPDATER_BACKGROUND: { key: 'backgroundUpdate', type: 'boolean' },
+  GEMINI_UPDATER_NON_INTERACTIVE_UPDATES: { key: 'nonInteractiveUpdates', type: 'boolean' },
+  GEMINI_UPDATER_PACKAGE_MANAGER: { key: 'packageManager', type: 'string' },
+  GEMINI_UPDATER_CHANNEL: { key: 'channel', type: 'string' },
+  GEMINI_UPDATER_VERSION_CONSTRAINT: { key: 'versionConstraint', type: 'string' },
+  GEMINI_UPDATER_CHECK_TIMEOUT: { key: 'checkTimeout', type: 'number' },
+  GEMINI_UPDATER_INSTALL_TIMEOUT: { key: 'installTimeout', type: 'number' },
+  GEMINI_UPDATER_MAX_RETRIES: { key: 'maxRetries', type: 'number' },
+  GEMINI_UPDATER_TIME_BUDGET: { key: 'updateTimeBudget', type: 'number' },
+  GEMINI_UPDATER_ALLOW_UNSIGNED: { key: 'allowUnsignedVersions', type: 'boolean' },
+  GEMINI_UPDATER_MIN_RELEASE_AGE: { key: 'minReleaseAgeHours', type: 'number' },
+  GEMINI_UPDATER_DENYLIST_URL: { key: 'denylistUrl', type: 'string' },
+  GEMINI_UPDATER_SELF_UPDATE: { key: 'selfUpdate', type: 'boolean' },
+  GEMINI_UPDATER_SELF_UPDATE_COOLDOWN: { key: 'selfUpdateCooldown', type: 'number' }
+};
+
+// Per-project settings, looked up from the current directory upwards
+const PROJECT_FILE = '.gemini-updater.json';
+
+// `gemini --updater-<setting>=<value>` overrides a setting for one run
+const CLI_FLAG_PREFIX = '--updater-';
+
+// Flags consumed by the wrapper and never passed to the tool, along with
+// --updater-<setting>=<value> overrides
+const WRAPPER_FLAGS = ['--skip-update', '--updater-quiet', '--trace-startup'];
+
+// How long a config.json update waits for another process's update to finish. Updates
+// take milliseconds, so a config lock older than CONFIG_LOCK_STALE is left over from a crash.
+const CONFIG_LOCK_WAIT = 2000;
+const CONFIG_LOCK_STALE = 10 * 1000;
+
+// Invalid values are reported once per process, not on every settings read
+const warned = new Set();
+
+function warnOnce(message) {
+  if (warned.has(message)) return;
+  warned.add(message);
+  console.warn(`Warning: ${message}`);
+}
+
+// Config files this process found corrupt and moved aside, for doctor to report
+const setAsideFiles = [];
+
+// Settings and state for one managed tool (Gemini CLI unless another is named). The
+// config file is shared: global settings and the tool registry live at the top level,
+// each tool's settings and update state under tools.<name> and state.<name>.
 class Config {
-  constructor() {
+  constructor(toolName = Schema.DEFAULT_TOOL) {
+    this.toolName = toolName;
     this.configDir = path.join(os.homedir(), '.gemini-cli-updater');
     this.configFile = path.join(this.configDir, 'config.json');
+    this.projectFile = this.findProjectFile();
+    this.lock = new UpdateLock({ name: 'config', staleAfter: CONFIG_LOCK_STALE });
+    this.loadPolicy();
     this.ensureConfigExists();
   }
 
+  // A broken policy file must not lock anyone out of `gemini updater` or the uninstaller,
+  // so the error is kept in policyError and the launcher refuses to start Gemini instead
+  loadPolicy() {
+    try {
+      this.basePolicy = Policy.load();
+      this.policyError = null;
+    } catch (error) {
+      this.basePolicy = new Policy();
+      this.policyError = error;
+    }
+
+    const tool = this.getTool();
+    this.policy = this.basePolicy.forTool(this.toolName, tool ? tool.displayName : this.toolName);
+  }
+
+  getPolicy() {
+    return this.policy;
+  }
+
   ensureConfigExists() {
     try {
       if (!fs.existsSync(this.configDir)) {
@@ -23,97 +104,552 @@ class Config {
     }
   }
 
+  // `settings` only holds what the user changed; defaults come from config-schema and
+  // are layered underneath in getSettings()
   getDefaultConfig() {
     return {
-      lastUpdateCheck: null,
-      lastUpdateTime: null,
-      versionHistory: [],
-      settings: {
-        updateCooldown: 60 * 60 * 1000, // 1 hour
-        maxVersionHistory: 10,
-        enableLogging: true,
-        autoUpdate: true
-      }
+      configVersion: Schema.CONFIG_VERSION,
+      settings: {},
+      tools: {},
+      state: {}
     };
   }
 
   readConfig() {
+    return { ...this.getDefaultConfig(), ...this.readStoredConfig() };
+  }
+
+  // The parsed config file, migrated to the current schema, with invalid fields dropped
+  readStoredConfig() {
+    let data;
     try {
-      if (fs.existsSync(this.configFile)) {
-        const data = fs.readFileSync(this.configFile, 'utf8');
-        return { ...this.getDefaultConfig(), ...JSON.parse(data) };
-      }
+      if (!fs.existsSync(this.configFile)) return {};
+      data = fs.readFileSync(this.configFile, 'utf8');
     } catch (error) {
       console.warn('Warning: Could not read config file:', error.message);
+      return {};
     }
-    return this.getDefaultConfig();
+
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('expected a JSON object');
+      }
+    } catch (error) {
+      this.setAsideCorruptConfig(error);
+      return {};
+    }
+
+    const { config, migrated } = Schema.migrate(parsed);
+    if (migrated) {
+      // Keep the pre-migration file in case an older release is needed again
+      try {
+        fs.writeFileSync(`${this.configFile}.v${parsed.configVersion || 0}.bak`, data);
+        this.writeConfig(config);
+      } catch (error) {
+        warnOnce(`Could not save the migrated ${this.configFile}: ${error.message}`);
+      }
+    } else if (config.configVersion > Schema.CONFIG_VERSION) {
+      warnOnce(`${this.configFile} was written by a newer gemini-cli-updater (configVersion ${config.configVersion}); some settings may be ignored`);
+    }
+
+    this.dropInvalidFields(config);
+    return config;
+  }
+
+  // Invalid parts of the file are ignored with a warning instead of failing every read
+  dropInvalidFields(config) {
+    const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    const drop = (problem, remove) => {
+      warnOnce(`Ignoring invalid ${problem} in ${this.configFile}`);
+      remove();
+    };
+
+    for (const key of ['settings', 'tools', 'state']) {
+      if (config[key] !== undefined && !isObject(config[key])) drop(`${key} (must be an object)`, () => delete config[key]);
+    }
+    for (const [name, tool] of Object.entries(config.tools || {})) {
+      const problems = Schema.validateTool(name, tool, { partial: name in Schema.BUILT_IN_TOOLS || !isObject(tool) || !tool.package });
+      // Settings are checked key by key in getLayers(); anything else invalidates the definition
+      const fatal = problems.filter(problem => !problem.startsWith(`tools.${name}.settings.`));
+      if (fatal.length > 0) drop(fatal[0], () => delete config.tools[name]);
+    }
+    for (const [name, state] of Object.entries(config.state || {})) {
+      if (!isObject(state)) {
+        drop(`state.${name} (must be an object)`, () => delete config.state[name]);
+        continue;
+      }
+      for (const key of Object.keys(Schema.STATE_FIELDS)) {
+        const problem = Schema.validateStateField(name, key, state[key]);
+        if (problem) drop(problem, () => delete state[key]);
+      }
+    }
+  }
+
+  // A config file that isn't JSON is moved aside rather than overwritten, so it can be
+  // repaired by hand; the updater carries on with defaults
+  setAsideCorruptConfig(error) {
+    const backup = `${this.configFile}.corrupt-${Date.now()}`;
+    try {
+      fs.renameSync(this.configFile, backup);
+      setAsideFiles.push({ file: this.configFile, backup, error: error.message });
+      console.warn(`Warning: ${this.configFile} is not valid (${error.message}); moved it to ${backup} and started over with defaults`);
+    } catch (renameError) {
+      warnOnce(`${this.configFile} is not valid (${error.message}) and could not be moved aside: ${renameError.message}`);
+    }
+  }
+
+  // Copies of this config file moved aside since the process started ({ file, backup, error })
+  getSetAsideConfigs() {
+    return setAsideFiles.filter(entry => entry.file === this.configFile);
   }
 
   writeConfig(config) {
     try {
-      fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
+      writeFileAtomic(this.configFile, JSON.stringify(config, null, 2));
     } catch (error) {
       console.warn('Warning: Could not write config file:', error.message);
     }
   }
 
+  // Read config.json, apply `update(config)` and write it back. The atomic write alone
+  // only prevents torn files; the lock keeps processes that change the file at the same
+  // time (a background update and a self-update worker, say) from dropping each other's
+  // changes. Should the lock stay busy, or be impossible to create (a read-only or
+  // foreign-owned config directory), the change is still made rather than lost.
+  modifyConfig(update) {
+    let locked = false;
+    try {
+      locked = this.lock.acquireSync({ wait: CONFIG_LOCK_WAIT });
+      if (!locked) {
+        warnOnce(`${this.lock.getLockPath()} is busy; updating ${this.configFile} without it`);
+      }
+    } catch (error) {
+      warnOnce(`Could not create ${this.lock.getLockPath()} (${error.code || error.message}); updating ${this.configFile} without it`);
+    }
+
+    try {
+      const config = this.readConfig();
+      const result = update(config);
+      this.writeConfig(config);
+      return result;
+    } finally {
+      if (locked) this.lock.release();
+    }
+  }
+
+  // This tool's update state inside `config`, created with defaults if missing. Changes
+  // to the returned object are saved by the next writeConfig(config).
+  getToolState(config) {
+    config.state = config.state || {};
+    config.state[this.toolName] = { ...Schema.getDefaultState(), ...config.state[this.toolName] };
+    return config.state[this.toolName];
+  }
+
+  readToolState() {
+    return this.getToolState(this.readConfig());
+  }
+
+  // Apply `update(state)` to this tool's state and save it
+  updateToolState(update) {
+    return this.modifyConfig(config => update(this.getToolState(config)));
+  }
+
   getLastUpdateCheck() {
-    const config = this.readConfig();
-    return config.lastUpdateCheck;
+    return this.readToolState().lastUpdateCheck;
   }
 
   setLastUpdateCheck(timestamp) {
-    const config = this.readConfig();
-    config.lastUpdateCheck = timestamp;
-    this.writeConfig(config);
+    this.updateToolState(state => { state.lastUpdateCheck = timestamp; });
   }
 
   getLastUpdateTime() {
-    const config = this.readConfig();
-    return config.lastUpdateTime;
+    return this.readToolState().lastUpdateTime;
   }
 
   setLastUpdateTime(timestamp) {
-    const config = this.readConfig();
-    config.lastUpdateTime = timestamp;
-    this.writeConfig(config);
+    this.updateToolState(state => { state.lastUpdateTime = timestamp; });
+  }
+
+  // Version from the version store that the tool launches by default
+  getActiveVersion() {
+    return this.readToolState().activeVersion || null;
+  }
+
+  setActiveVersion(version) {
+    this.updateToolState(state => { state.activeVersion = version; });
+  }
+
+  // Result of the last background update, shown once on the next launch
+  getUpdateNotice() {
+    return this.readToolState().updateNotice || null;
+  }
+
+  setUpdateNotice(notice) {
+    this.updateToolState(state => { state.updateNotice = notice; });
+  }
+
+  // Versions that failed their post-update health check, keyed by version
+  getBadVersions() {
+    return this.readToolState().badVersions || {};
+  }
+
+  isBadVersion(version) {
+    return Object.prototype.hasOwnProperty.call(this.getBadVersions(), version);
+  }
+
+  markBadVersion(version, reason) {
+    this.updateToolState(state => {
+      state.badVersions = { ...state.badVersions, [version]: { reason, markedAt: Date.now() } };
+    });
+  }
+
+  // Add a version or semver range to this tool's local denylist
+  denyVersion(range, reason = null) {
+    const { deniedVersions } = this.getToolSettings();
+    this.updateSettings({ deniedVersions: { ...deniedVersions, [range]: reason } });
+  }
+
+  // Clears a failed health check mark and removes the version from the local denylist.
+  // Returns false if it was neither.
+  allowVersion(version) {
+    return this.modifyConfig(config => {
+      const state = this.getToolState(config);
+      const toolSettings = (config.tools[this.toolName] || {}).settings || {};
+      const deniedVersions = toolSettings.deniedVersions || {};
+      if (!state.badVersions[version] && !Object.prototype.hasOwnProperty.call(deniedVersions, version)) return false;
+
+      delete state.badVersions[version];
+      delete deniedVersions[version];
+      return true;
+    });
   }
 
   getVersionHistory() {
-    const config = this.readConfig();
-    return config.versionHistory || [];
+    return this.readToolState().versionHistory || [];
   }
 
-  addVersionHistory(fromVersion, toVersion) {
-    const config = this.readConfig();
+  // Record the start of a version change (update, rollback, use). The entry is written
+  // as pending before anything is installed, so an interrupted update still leaves a
+  // trace; finish it with updateVersionHistory(). Returns the entry id.
+  addVersionHistory(fromVersion, toVersion, details = {}) {
+    const startedAt = Date.now();
     const versionEntry = {
+      id: `${startedAt.toString(36)}-${process.pid}`,
+      action: 'update',
       from: fromVersion,
       to: toVersion,
-      timestamp: Date.now(),
-      success: true
+      startedAt,
+      finishedAt: null,
+      outcome: 'pending',
+      exitCode: null,
+      error: null,
+      verification: null, // { integrity, signature, provenance } from PackageVerifier
+      ...details
     };
+    const maxHistory = this.getMaxVersionHistory();
+
+    this.updateToolState(state => {
+      // Keep only the last N entries
+      state.versionHistory = [...state.versionHistory, versionEntry].slice(-maxHistory);
+    });
+    return versionEntry.id;
+  }
+
+  // Complete a history entry, e.g. { outcome: 'failed', exitCode: 1, error: '...' }
+  updateVersionHistory(id, changes) {
+    return this.updateToolState(state => {
+      const entry = state.versionHistory.find(item => item.id === id);
+      if (!entry) return false;
+
+      Object.assign(entry, { finishedAt: Date.now() }, changes);
+      return true;
+    });
+  }
+
+  // Managed tools by name. Built-in tools come first, then definitions from config.json
+  // and finally the team policy's, later sources overriding earlier ones field by field.
+  // Entries that only carry settings or bounds for a tool defined elsewhere add nothing.
+  getTools() {
+    const sources = [
+      ['built-in', Schema.BUILT_IN_TOOLS],
+      ['user', this.readConfig().tools],
+      ['policy', this.basePolicy.tools]
+    ];
+    const tools = {};
+
+    for (const [source, definitions] of sources) {
+      for (const [name, { package: packageName, bin, displayName }] of Object.entries(definitions || {})) {
+        if (!packageName && !tools[name]) continue;
+
+        const previous = tools[name] || { source };
+        tools[name] = {
+          ...previous,
+          name,
+          package: packageName || previous.package,
+          bin: bin || previous.bin || name,
+          displayName: displayName || previous.displayName || packageName
+        };
+      }
+    }
+    return tools;
+  }
+
+  // Definition of `name` ({ name, package, bin, displayName, source }), or null
+  getTool(name = this.toolName) {
+    return this.getTools()[name] || null;
+  }
+
+  // The tool whose command is `bin`, or null
+  findToolByBin(bin) {
+    return Object.values(this.getTools()).find(tool => tool.bin === bin) || null;
+  }
 
-    config.versionHistory = config.versionHistory || [];
-    config.versionHistory.push(versionEntry);
+  // Register a tool (or change its definition) in config.json
+  addTool(name, definition) {
+    if (name === Schema.SELF_NAME) {
+      throw new Error(`${name} is reserved for the wrapper itself`);
+    }
+    const existing = this.getTool(name);
+    if (existing && existing.source !== 'user') {
+      throw new Error(`${name} is a ${existing.source === 'policy' ? `tool defined by policy ${this.basePolicy.file}` : 'built-in tool'} and can't be redefined`);
+    }
+    const clash = this.findToolByBin(definition.bin || name);
+    if (clash && clash.name !== name) {
+      throw new Error(`The ${definition.bin || name} command already belongs to ${clash.name}`);
+    }
+
+    this.modifyConfig(config => {
+      const tool = { ...config.tools[name], ...definition };
+      const problems = Schema.validateTool(name, tool);
+      if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+      }
+
+      config.tools = { ...config.tools, [name]: tool };
+    });
+    return this.getTool(name);
+  }
 
-    // Keep only the last N entries
-    const maxHistory = config.settings?.maxVersionHistory || 10;
-    if (config.versionHistory.length > maxHistory) {
-      config.versionHistory = config.versionHistory.slice(-maxHistory);
+  // Unregister a tool added with addTool(), forgetting its settings and state. Installed
+  // versions are left to the caller.
+  removeTool(name) {
+    const existing = this.getTool(name);
+    if (!existing) throw new Error(`Unknown tool: ${name}`);
+    if (existing.source !== 'user') {
+      throw new Error(`${name} is a ${existing.source === 'policy' ? `tool defined by policy ${this.basePolicy.file}` : 'built-in tool'} and can't be removed`);
     }
 
-    this.writeConfig(config);
+    this.modifyConfig(config => {
+      delete config.tools[name];
+      delete config.state[name];
+    });
   }
 
+  // defaults < policy < config.json (global, then this tool's) < project file <
+  // environment < command line flags; settings locked by the policy always keep the
+  // policy's value
   getSettings() {
+    const settings = Object.assign({}, ...this.getLayers().map(layer => layer.settings));
+
+    for (const key of this.policy.lockedSettings) {
+      settings[key] = this.getLockedValue(key);
+    }
+    return settings;
+  }
+
+  // Every source of settings, lowest precedence first, each with only the valid
+  // settings it sets
+  getLayers() {
     const config = this.readConfig();
-    return config.settings || this.getDefaultConfig().settings;
+    const toolSource = `${this.configFile} (tools.${this.toolName})`;
+    const project = this.readProjectSettings();
+
+    return [
+      { name: 'default', source: 'built-in default', settings: Schema.getDefaultSettings() },
+      { name: 'policy', source: this.policy.file, settings: this.policy.settings },
+      { name: 'user', source: this.configFile, settings: this.checkSettings(config.settings, this.configFile) },
+      { name: 'tool', source: toolSource, settings: this.checkSettings(this.getToolSettings(config), toolSource) },
+      { name: 'project', source: this.projectFile, settings: this.checkSettings(project, this.projectFile, { project: false }) },
+      { name: 'environment', source: 'GEMINI_UPDATER_* variables', settings: this.getEnvOverrides() },
+      { name: 'flag', source: `${CLI_FLAG_PREFIX}<setting> flags`, settings: this.getCliOverrides() }
+    ];
+  }
+
+  // Settings stored for this tool in config.json, unvalidated
+  getToolSettings(config = this.readConfig()) {
+    return (config.tools[this.toolName] || {}).settings || {};
+  }
+
+  getLockedValue(key) {
+    return key in this.policy.settings ? this.policy.settings[key] : Schema.getDefaultSettings()[key];
+  }
+
+  // Drop (and warn once about) unknown or invalid settings so one bad value doesn't
+  // take the others down with it
+  checkSettings(settings, source, options) {
+    const valid = {};
+    for (const [key, value] of Object.entries(settings || {})) {
+      const problem = Schema.validateSetting(key, value, options);
+      if (problem) {
+        warnOnce(`Ignoring ${problem} in ${source}`);
+      } else {
+        valid[key] = value;
+      }
+    }
+    return valid;
+  }
+
+  // Where `key` gets its value from: { key, value, from, locked, layers: [{ name, source, set, value }] }
+  explainSetting(key) {
+    if (!(key in Schema.SETTINGS)) throw new Error(`Unknown setting: ${key}`);
+
+    const layers = this.getLayers().map(({ name, source, settings }) => ({
+      name,
+      source: this.getSettingSource(name, source, key),
+      set: key in settings,
+      value: settings[key]
+    }));
+    const locked = this.policy.isLocked(key);
+    const winner = locked ? layers.find(layer => layer.name === 'policy') : layers.filter(layer => layer.set).pop();
+
+    return { key, value: this.getSettings()[key], from: winner.name, locked, layers };
+  }
+
+  // The env variable or flag behind a setting, rather than the whole layer
+  getSettingSource(layer, source, key) {
+    if (layer === 'environment') {
+      const name = Object.keys(ENV_OVERRIDES).find(env => ENV_OVERRIDES[env].key === key);
+      return name || source;
+    }
+    if (layer === 'flag') return `${CLI_FLAG_PREFIX}${key}`;
+    return source;
+  }
+
+  assertNotLocked(keys) {
+    const locked = keys.filter(key => this.policy.isLocked(key));
+    if (locked.length > 0) {
+      throw new Error(`${locked.join(', ')} ${locked.length === 1 ? 'is' : 'are'} locked by policy ${this.policy.file}`);
+    }
+  }
+
+  // Settings overridden through GEMINI_UPDATER_* environment variables
+  getEnvOverrides() {
+    const overrides = {};
+
+    for (const [name, { key, type }] of Object.entries(ENV_OVERRIDES)) {
+      const raw = process.env[name];
+      if (raw === undefined || raw === '') continue;
+
+      const value = this.parseEnvValue(raw, type);
+      if (value === null || Number.isNaN(value) || Schema.validateSetting(key, value)) {
+        warnOnce(`Ignoring invalid value for ${name}: ${raw}`);
+        continue;
+      }
+      overrides[key] = value;
+    }
+
+    return overrides;
+  }
+
+  // Settings from `--updater-<setting>=<value>` arguments; values are parsed as JSON
+  // where possible, like `config set`
+  getCliOverrides(argv = process.argv.slice(2)) {
+    const overrides = {};
+
+    for (const arg of argv) {
+      if (!Config.isCliOverride(arg)) continue;
+
+      const [key, ...rest] = arg.slice(CLI_FLAG_PREFIX.length).split('=');
+      const raw = rest.join('=');
+      let value;
+      try {
+        value = JSON.parse(raw);
+      } catch (error) {
+        value = raw;
+      }
+
+      const problem = Schema.validateSetting(key, value);
+      if (problem) {
+        warnOnce(`Ignoring ${arg}: ${problem}`);
+        continue;
+      }
+      overrides[key] = value;
+    }
+
+    return overrides;
+  }
+
+  // Nearest .gemini-updater.json from the current directory upwards, or null
+  findProjectFile(startDir = process.cwd()) {
+    let dir = path.resolve(startDir);
+
+    while (true) {
+      const file = path.join(dir, PROJECT_FILE);
+      if (fs.existsSync(file)) return file;
+
+      const parent = path.dirname(dir);
+      if (parent === dir) return null;
+      dir = parent;
+    }
   }
 
+  // Settings from the project file: a flat object such as { "channel": "preview" }.
+  // A broken project file is reported and skipped rather than blocking Gemini.
+  readProjectSettings() {
+    if (!this.projectFile) return {};
+
+    try {
+      const settings = JSON.parse(fs.readFileSync(this.projectFile, 'utf8'));
+      if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error('expected a JSON object of settings');
+      }
+      return settings;
+    } catch (error) {
+      warnOnce(`Ignoring ${this.projectFile}: ${error.message}`);
+      return {};
+    }
+  }
+
+  parseEnvValue(raw, type) {
+    switch (type) {
+      case 'boolean':
+        return this.parseBoolean(raw);
+      case 'number':
+        return parseInt(raw, 10);
+      default:
+        return raw.trim();
+    }
+  }
+
+  parseBoolean(value) {
+    const normalized = String(value).trim().toLowerCase();
+    if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+    if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+    return null;
+  }
+
+  // Save settings to config.json: per-tool settings (channel, versionConstraint, ...)
+  // for this tool, the rest for all tools. Throws with the offending key if a value
+  // doesn't match the schema.
   updateSettings(newSettings) {
-    const config = this.readConfig();
-    config.settings = { ...config.settings, ...newSettings };
-    this.writeConfig(config);
+    this.assertNotLocked(Object.keys(newSettings));
+    const problems = Schema.validateSettings(newSettings);
+    if (problems.length > 0) {
+      throw new Error(problems.join('; '));
+    }
+
+    this.modifyConfig(config => {
+      for (const [key, value] of Object.entries(newSettings)) {
+        if (Schema.SETTINGS[key].tool) {
+          const tool = config.tools[this.toolName] || {};
+          config.tools[this.toolName] = { ...tool, settings: { ...tool.settings, [key]: value } };
+        } else {
+          config.settings = { ...config.settings, [key]: value };
+        }
+      }
+    });
   }
 
   // Clear all stored data
@@ -133,16 +669,88 @@ class Config {
     return this.configFile;
   }
 
-  // Check if auto-update is enabled
+  // Check if auto-update is enabled (updates install without asking)
   isAutoUpdateEnabled() {
+    return this.getUpdateMode() === 'auto';
+  }
+
+  // How launches handle a new version: install it (auto), ask first (prompt),
+  // only show a banner (notify) or not check at all (off). The older
+  // autoUpdate: false setting is treated as off.
+  getUpdateMode() {
     const settings = this.getSettings();
-    return settings.autoUpdate !== false;
+    return settings.autoUpdate === false ? 'off' : settings.updateMode;
+  }
+
+  // Check if update checks are skipped for this process (GEMINI_UPDATER_SKIP_UPDATE)
+  isUpdateSkipped() {
+    return this.parseBoolean(process.env.GEMINI_UPDATER_SKIP_UPDATE || '') === true;
+  }
+
+  // Check if the wrapper should print nothing but errors at launch (GEMINI_UPDATER_QUIET)
+  isQuiet() {
+    return this.parseBoolean(process.env.GEMINI_UPDATER_QUIET || '') === true;
+  }
+
+  // Check if management commands should print JSON instead of text (GEMINI_UPDATER_JSON)
+  isJsonOutput() {
+    return this.parseBoolean(process.env.GEMINI_UPDATER_JSON || '') === true;
   }
 
   // Get update cooldown period
   getUpdateCooldown() {
     const settings = this.getSettings();
-    return settings.updateCooldown || 60 * 60 * 1000; // Default 1 hour
+    return Number.isFinite(settings.updateCooldown) && settings.updateCooldown >= 0
+      ? settings.updateCooldown
+      : 60 * 60 * 1000; // Default 1 hour
+  }
+
+  // Minimum age in hours a release must have before it is installed (0 disables)
+  getMinReleaseAgeHours() {
+    const settings = this.getSettings();
+    return Number.isFinite(settings.minReleaseAgeHours) && settings.minReleaseAgeHours > 0
+      ? settings.minReleaseAgeHours
+      : 0;
+  }
+
+  // Timeouts, retries and the launch-time budget, falling back to defaults for invalid values
+  getNetworkSettings() {
+    const settings = this.getSettings();
+    const defaults = Schema.getDefaultSettings();
+    const pick = (key, min) => (Number.isFinite(settings[key]) && settings[key] >= min ? settings[key] : defaults[key]);
+
+    return {
+      checkTimeout: pick('checkTimeout', 1),
+      installTimeout: pick('installTimeout', 1),
+      maxRetries: Math.floor(pick('maxRetries', 0)),
+      updateTimeBudget: pick('updateTimeBudget', 1)
+    };
+  }
+
+  // Get the number of version history entries to keep
+  getMaxVersionHistory() {
+    const settings = this.getSettings();
+    return settings.maxVersionHistory > 0 ? settings.maxVersionHistory : 10;
+  }
+
+  // Get the semver range installs are limited to, or null when unconstrained
+  getVersionConstraint() {
+    const { versionConstraint } = this.getSettings();
+    if (versionConstraint === null || versionConstraint === undefined || versionConstraint === '') {
+      return null;
+    }
+
+    const range = semver.validRange(String(versionConstraint));
+    if (!range) {
+      throw new Error(`Invalid versionConstraint: ${versionConstraint}`);
+    }
+    return String(versionConstraint);
+  }
+
+  // Check if writing to the log file is enabled
+  isLoggingEnabled() {
+    const settings = this.getSettings();
+    return settings.enableLogging !== false;
   }
 
   // Export config for backup
@@ -150,21 +758,30 @@ class Config {
     return this.readConfig();
   }
 
-  // Import config from backup
+  // Import config from backup. Older exports are migrated; anything that doesn't match
+  // the schema is rejected with the offending keys and nothing is written.
   importConfig(configData) {
-    try {
-      // Validate basic structure
-      if (typeof configData === 'object' && configData !== null) {
-        const mergedConfig = { ...this.getDefaultConfig(), ...configData };
-        this.writeConfig(mergedConfig);
-        return true;
-      }
-      return false;
-    } catch (error) {
-      console.warn('Warning: Could not import config:', error.message);
-      return false;
+    if (!configData || typeof configData !== 'object' || Array.isArray(configData)) {
+      throw new Error('expected a JSON object');
     }
+
+    const { config } = Schema.migrate(configData);
+    const errors = Schema.validateConfig(config);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    this.writeConfig({ ...this.getDefaultConfig(), ...config });
   }
 }
 
+Config.UPDATE_MODES = Schema.UPDATE_MODES;
+Config.PROJECT_FILE = PROJECT_FILE;
+Config.CLI_FLAG_PREFIX = CLI_FLAG_PREFIX;
+Config.WRAPPER_FLAGS = WRAPPER_FLAGS;
+// Whether `arg` is a --updater-<setting>=<value> override
+Config.isCliOverride = arg => arg.startsWith(CLI_FLAG_PREFIX) && arg.includes('=');
+// Whether `arg` is meant for the wrapper: a wrapper flag or a --updater-<setting>=<value> override
+Config.isWrapperArg = arg => WRAPPER_FLAGS.includes(arg) || Config.isCliOverride(arg);
+Config.DEFAULT_TOOL = Schema.DEFAULT_TOOL;
+
 module.exports = Config;
\ No newline at end of file
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const semver = require('semver');
+
+// Known-bad versions that are never installed automatically. Entries come from the
+// local `deniedVersions` setting and from a team list at `denylistUrl` (an http(s) URL
+// or file path). Both use the same format, a map of version or semver range to reason:
+//   { "0.4.0": "yanked, crashes on startup", "0.5.0-nightly.x": null }
+// A plain array of versions/ranges is accepted as well.
+class Denylist {
+  constructor(registry, cache, logger) {
+    this.registry = registry;
+    this.cache = cache;
+    this.logger = logger;
+  }
+
+  // Resolves with [{ range, reason, source }]
+  async load({ deniedVersions = null, denylistUrl = null } = {}, requestOptions = {}) {
+    const entries = this.parse(deniedVersions, 'local denylist');
+    if (denylistUrl) {
+      entries.push(...this.parse(await this.fetch(denylistUrl, requestOptions), `team denylist (${denylistUrl})`));
+    }
+    return entries;
+  }
+
+  parse(data, source) {
+    if (!data) return [];
+
+    const pairs = Array.isArray(data)
+      ? data.map(item => (typeof item === 'string' ? [item, null] : [item.version, item.reason || null]))
+      : Object.entries(data);
+
+    return pairs
+      .filter(([range]) => {
+        if (semver.validRange(range)) return true;
+        this.logger.warn(`Ignoring invalid entry "${range}" in ${source}`);
+        return false;
+      })
+      .map(([range, reason]) => ({ range, reason: reason || null, source }));
+  }
+
+  // Team lists are cached so an unreachable server doesn't silently drop the list;
+  // without a cached copy the error propagates and the update check fails
+  async fetch(source, requestOptions) {
+    if (!/^https?:\/\//.test(source)) {
+      try {
+        return JSON.parse(fs.readFileSync(source, 'utf8'));
+      } catch (error) {
+        throw new Error(`Could not read denylist ${source}: ${error.message}`);
+      }
+    }
+
+    try {
+      const data = await this.registry.getJson(source, requestOptions);
+      this.cache.set(source, { body: data });
+      return data;
+    } catch (error) {
+      const cached = this.cache.get(source);
+      if (!cached) throw error;
+
+      this.logger.warn(`Could not fetch denylist ${source}, using cached copy:`, error.message);
+      return cached.body;
+    }
+  }
+
+  // First entry covering `version`, or null
+  static match(entries, version) {
+    return entries.find(entry => semver.satisfies(version, entry.range, { includePrerelease: true })) || null;
+  }
+}
+
+module.exports = Denylist;
@@ -0,0 +1,65 @@
+const { spawn } = require('child_process');
+
+// A worker process that runs update work detached from the launching process, so the
+// tool starts without waiting on the registry or a package manager. The worker leaves
+// a notice in the config state it was given; the next invocation shows it once.
+// BackgroundUpdate uses one per tool, SelfUpdate one for the wrapper itself.
+class DetachedWorker {
+  // `script` is run with `args` by the current Node; `label` names the worker in logs
+  constructor({ script, args = [], config, logger, label }) {
+    this.script = script;
+    this.args = args;
+    this.config = config;
+    this.logger = logger;
+    this.label = label;
+  }
+
+  // Start the worker. Returns true if one was started.
+  start() {
+    // Claim the cooldown now so launches in quick succession don't start more workers
+    this.config.setLastUpdateCheck(Date.now());
+
+    try {
+      const worker = spawn(process.execPath, [this.script, ...this.args], {
+        detached: true,
+        stdio: 'ignore',
+        windowsHide: true
+      });
+      worker.unref();
+      this.logger.debug(`Started ${this.label} worker (pid ${worker.pid})`);
+      return true;
+    } catch (error) {
+      this.logger.warn(`Could not start ${this.label}:`, error.message);
+      return false;
+    }
+  }
+
+  // Returns and clears the notice left by the last run, if any
+  takeNotice() {
+    const notice = this.config.getUpdateNotice();
+    if (notice) {
+      this.config.setUpdateNotice(null);
+    }
+    return notice;
+  }
+
+  // Leave a notice for the next invocation, e.g. { status: 'available', from, to }
+  notify(notice) {
+    this.config.setUpdateNotice({ ...notice, at: Date.now() });
+  }
+
+  // Worker side: run `install` (an async function updating `from` to `to`) and leave an
+  // 'updated' or 'failed' notice
+  async install(from, to, install) {
+    try {
+      await install();
+      this.notify({ status: 'updated', from, to });
+    } catch (error) {
+      // Another process is already installing this update; nothing to report
+      if (error.code === 'ELOCKED') return;
+      this.notify({ status: 'failed', from, to, error: error.message });
+    }
+  }
+}
+
+module.exports = DetachedWorker;
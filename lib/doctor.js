@@ -0,0 +1,443 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const semver = require('semver');
+const chalk = require('chalk');
+const Schema = require('./config-schema');
+const ShellDetector = require('./shell-detector');
+const UpdateLock = require('./update-lock');
+
+const WRAPPER_COMMAND = 'gemini-cli-updater';
+const ICONS = { pass: '✅', warn: '⚠️ ', fail: '❌' };
+const COLORS = { pass: chalk.green, warn: chalk.yellow, fail: chalk.red };
+
+// Diagnoses the installation for `gemini updater doctor`. Every check returns
+// { status: 'pass' | 'warn' | 'fail', message, fix, repair }: `fix` is the suggested
+// remedy shown to the user and `repair`, when the problem can be fixed safely without
+// asking, a function that `--fix` runs before checking again.
+class Doctor {
+  constructor(updater, logger) {
+    this.updater = updater;
+    this.config = updater.config;
+    this.logger = logger;
+    this.shellDetector = new ShellDetector();
+    this.checks = [
+      ['Node.js', () => this.checkNodeVersion()],
+      ['Global prefix', () => this.checkGlobalPrefix()],
+      ['PATH', () => this.checkPath()],
+      ['Registry', () => this.checkRegistry()],
+      ['Config file', () => this.checkConfig()],
+      ['Team policy', () => this.checkPolicy()],
+      ['Update locks', () => this.checkLocks()],
+      ['Shell aliases', () => this.checkAliases()],
+      ['Log directory', () => this.checkLogDirectory()]
+    ];
+  }
+
+  // Run every check and print a line per result; with `fix`, repairable problems are
+  // repaired and checked again. Returns the exit code: 1 if anything still fails.
+  async run({ fix = false } = {}) {
+    const counts = { pass: 0, warn: 0, fail: 0 };
+    console.log(chalk.cyan(`gemini-cli-updater doctor (${this.updater.displayName})`));
+
+    for (const [name, check] of this.checks) {
+      let result = await this.runCheck(check);
+
+      if (fix && result.status !== 'pass' && result.repair) {
+        try {
+          await result.repair();
+          console.log(chalk.blue(`🔧 ${name}: ${result.message}, repaired`));
+          this.logger.info(`doctor --fix repaired ${name}: ${result.message}`);
+          result = await this.runCheck(check);
+        } catch (error) {
+          console.log(chalk.red(`🔧 ${name}: repair failed: ${error.message}`));
+        }
+      }
+
+      counts[result.status]++;
+      console.log(COLORS[result.status](`${ICONS[result.status]} ${name}: ${result.message}`));
+      if (result.status !== 'pass' && result.fix) {
+        console.log(chalk.gray(`   Fix: ${result.fix}${!fix && result.repair ? ` (or run: ${this.updater.getCommandPrefix()} doctor --fix)` : ''}`));
+      }
+    }
+
+    console.log(chalk.white(`\n${counts.pass} passed, ${counts.warn} warning(s), ${counts.fail} failed`));
+    return counts.fail > 0 ? 1 : 0;
+  }
+
+  // A check that throws is reported as failed rather than ending the run
+  async runCheck(check) {
+    try {
+      return await check();
+    } catch (error) {
+      return { status: 'fail', message: `check failed: ${error.message}` };
+    }
+  }
+
+  // The running Node against the tool's engines.node, taken from the installed version
+  // or, when nothing is installed, the version an update would install
+  async checkNodeVersion() {
+    const { displayName } = this.updater;
+    const current = await this.updater.getCurrentVersion();
+    let version = current;
+    let engines = current ? this.readInstalledEngines(current) : null;
+
+    if (!engines) {
+      const target = await this.updater.resolveTargetVersion();
+      version = target.version || current;
+      const manifest = version && (await this.updater.getPackument()).versions[version];
+      engines = manifest && manifest.engines;
+    }
+
+    const range = engines && engines.node;
+    if (!range) {
+      return { status: 'pass', message: `${process.version} (${displayName}${version ? ` ${version}` : ''} sets no Node.js requirement)` };
+    }
+    if (semver.satisfies(process.version, range, { includePrerelease: true })) {
+      return { status: 'pass', message: `${process.version} satisfies ${displayName} ${version}'s engines.node (${range})` };
+    }
+
+    const minimum = semver.minVersion(range);
+    return {
+      status: 'fail',
+      message: `${process.version} does not satisfy ${displayName} ${version}'s engines.node (${range})`,
+      fix: `install a matching Node.js${minimum ? `, e.g. nvm install ${minimum.major}` : ''}`
+    };
+  }
+
+  readInstalledEngines(version) {
+    const packageDir = this.updater.store.has(version)
+      ? this.updater.store.getPackageDir(version)
+      : this.updater.getGlobalPackageDir();
+    try {
+      return JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8')).engines || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Global installs (the wrapper's self-update, the packageManager fallback) fail with
+  // EACCES when the global prefix belongs to root
+  checkGlobalPrefix() {
+    const manager = this.updater.getPackageManager();
+    const root = path.dirname(manager.getGlobalPackageDir(WRAPPER_COMMAND));
+    const dir = this.findExistingDir(root);
+
+    try {
+      fs.accessSync(dir, fs.constants.W_OK);
+      return { status: 'pass', message: `${root} is writable (${manager.name})` };
+    } catch (error) {
+      return {
+        status: 'warn',
+        message: `${root} is not writable (${error.code}); global installs and self-updates will fail`,
+        fix: manager.name === 'npm'
+          ? 'use a user-owned prefix (npm config set prefix ~/.npm-global, then add ~/.npm-global/bin to PATH) or a Node version manager; avoid sudo'
+          : `make ${root} writable for your user or switch to a user-owned install of ${manager.name}`
+      };
+    }
+  }
+
+  findExistingDir(dir) {
+    let current = dir;
+    while (!fs.existsSync(current) && path.dirname(current) !== current) {
+      current = path.dirname(current);
+    }
+    return current;
+  }
+
+  // Every `gemini` on PATH, in lookup order. Whichever comes first is what scripts and
+  // shells without the alias run, so it should be the wrapper.
+  checkPath() {
+    const bin = Schema.BUILT_IN_TOOLS[Schema.DEFAULT_TOOL].bin;
+    const found = this.findOnPath(bin);
+
+    if (found.length === 0) {
+      return {
+        status: 'warn',
+        message: `no ${bin} on PATH; only the shell alias runs the wrapper`,
+        fix: `reinstall with npm install -g ${WRAPPER_COMMAND}, or add its bin directory to PATH`
+      };
+    }
+
+    const [first, ...rest] = found;
+    if (!first.isWrapper) {
+      return {
+        status: 'warn',
+        message: `${first.file} comes first on PATH and is not the wrapper, so it bypasses updates`,
+        fix: `remove it (npm uninstall -g ${this.updater.packageName} if it is a global install) or put the wrapper's bin directory first on PATH`
+      };
+    }
+
+    const shadowed = rest.filter(entry => entry.target !== first.target);
+    if (shadowed.length > 0) {
+      return {
+        status: 'warn',
+        message: `${first.file} is used; it shadows ${shadowed.map(entry => entry.file).join(', ')}`,
+        fix: 'remove the other installs so every shell and Node version runs the same wrapper'
+      };
+    }
+    return { status: 'pass', message: `${first.file} runs the wrapper` };
+  }
+
+  findOnPath(bin) {
+    const extensions = os.platform() === 'win32' ? ['.cmd', '.ps1', '.exe', ''] : [''];
+    const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    const found = [];
+
+    for (const dir of [...new Set(dirs)]) {
+      for (const extension of extensions) {
+        const file = path.join(dir, `${bin}${extension}`);
+        try {
+          if (!fs.statSync(file).isFile()) continue;
+          const target = fs.realpathSync(file);
+          found.push({ file, target, isWrapper: this.isWrapper(target) });
+        } catch (error) {
+          // Missing or unreadable, not a candidate
+        }
+      }
+    }
+    return found;
+  }
+
+  // The wrapper's entry point and the shims package managers write for it mention its name
+  isWrapper(file) {
+    try {
+      const fd = fs.openSync(file, 'r');
+      const buffer = Buffer.alloc(64 * 1024);
+      const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+      fs.closeSync(fd);
+      const content = buffer.toString('utf8', 0, bytes);
+      return content.includes(WRAPPER_COMMAND) || content.includes('GeminiUpdaterCLI');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // A registry request for the tool's metadata; when it fails for network reasons the
+  // cached copy is used and the registry is reported as unreachable
+  async checkRegistry() {
+    const registry = this.updater.npmConfig.getRegistry(this.updater.packageName);
+    const startedAt = Date.now();
+
+    try {
+      await this.updater.getPackument();
+    } catch (error) {
+      return {
+        status: 'fail',
+        message: `${registry} failed: ${error.message}`,
+        fix: 'check your network, proxy settings (HTTPS_PROXY) and the registry and auth token in ~/.npmrc'
+      };
+    }
+
+    if (this.updater.isOffline()) {
+      return {
+        status: 'warn',
+        message: `${registry} is unreachable; using registry data cached earlier`,
+        fix: 'check your network and proxy settings (HTTPS_PROXY); updates resume once the registry responds'
+      };
+    }
+    return { status: 'pass', message: `${registry} responded in ${Date.now() - startedAt}ms` };
+  }
+
+  // config.json must parse and match the schema; invalid values are otherwise only
+  // ignored with a warning on every launch
+  checkConfig() {
+    const file = this.config.getConfigPath();
+
+    // A config that doesn't parse is moved aside as soon as it is read, before any check runs
+    const [setAsideNow] = this.config.getSetAsideConfigs();
+    if (setAsideNow) {
+      return {
+        status: 'fail',
+        message: `${file} was not a valid config (${setAsideNow.error}); it was moved to ${setAsideNow.backup} and defaults are in use`,
+        fix: `repair ${setAsideNow.backup} by hand and move it back to ${file}, or delete it to keep the defaults`
+      };
+    }
+
+    if (!fs.existsSync(file)) {
+      return { status: 'pass', message: `${file} not created yet (defaults in use)` };
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('expected a JSON object');
+      }
+    } catch (error) {
+      return {
+        status: 'fail',
+        message: `${file} is not a valid config (${error.message})`,
+        fix: 'repair it by hand, or move it aside to start over with defaults',
+        repair: () => this.config.setAsideCorruptConfig(error)
+      };
+    }
+
+    const problems = Schema.validateConfig(Schema.migrate(parsed).config);
+    if (problems.length > 0) {
+      return {
+        status: 'warn',
+        message: `${problems.length} invalid value(s), e.g. ${problems[0]}`,
+        fix: `correct them with ${this.updater.getCommandPrefix()} config set, or drop them`,
+        repair: () => this.dropInvalidValues()
+      };
+    }
+
+    const setAside = fs.readdirSync(path.dirname(file)).filter(name => /^config\.json\.corrupt-\d+$/.test(name));
+    if (setAside.length > 0) {
+      return {
+        status: 'warn',
+        message: `valid, but ${setAside.length} corrupt earlier copy(s) were set aside: ${setAside.join(', ')}`,
+        fix: `restore anything you need from them, then delete them from ${path.dirname(file)}`
+      };
+    }
+    return { status: 'pass', message: `${file} is valid` };
+  }
+
+  // Rewrite config.json without the values the schema rejects
+  dropInvalidValues() {
+    const clean = settings => {
+      for (const key of Object.keys(settings || {})) {
+        if (Schema.validateSetting(key, settings[key])) delete settings[key];
+      }
+    };
+
+    this.config.modifyConfig(config => {
+      clean(config.settings);
+      for (const tool of Object.values(config.tools)) {
+        clean(tool.settings);
+      }
+    });
+  }
+
+  checkPolicy() {
+    if (this.config.policyError) {
+      return {
+        status: 'fail',
+        message: this.config.policyError.message,
+        fix: 'ask whoever manages the policy file to fix it; the tool will not start until then'
+      };
+    }
+
+    const policy = this.config.getPolicy();
+    return { status: 'pass', message: policy.isActive() ? `${policy.file} is valid` : 'no policy file' };
+  }
+
+  // Lock files left by crashed installs; a running install's lock is fine
+  checkLocks() {
+    const configDir = path.dirname(this.config.getConfigPath());
+    const staleAfter = this.config.getNetworkSettings().installTimeout * 2;
+    const files = fs.existsSync(configDir)
+      ? fs.readdirSync(configDir).filter(name => /^update-.+\.lock$/.test(name))
+      : [];
+
+    const locks = files.map(name => new UpdateLock({ tool: name.slice('update-'.length, -'.lock'.length), staleAfter }));
+    const stale = locks.filter(lock => lock.isStale(lock.getHolder()));
+    const held = locks.filter(lock => !stale.includes(lock));
+
+    if (stale.length > 0) {
+      return {
+        status: 'warn',
+        message: `stale lock(s) from a crashed update: ${stale.map(lock => lock.getLockPath()).join(', ')}`,
+        fix: 'delete them; the next update would also take them over',
+        repair: () => stale.forEach(lock => fs.rmSync(lock.getLockPath(), { force: true }))
+      };
+    }
+    if (held.length > 0) {
+      const holders = held.map(lock => `${path.basename(lock.getLockPath())} (pid ${(lock.getHolder() || {}).pid || '?'})`);
+      return { status: 'pass', message: `update in progress: ${holders.join(', ')}` };
+    }
+    return { status: 'pass', message: 'no locks held' };
+  }
+
+  // Each shell's config must define the gemini alias (and one per added tool) pointing at
+  // the wrapper, and its last definition must be ours since that is the one that counts
+  checkAliases() {
+    const shells = this.shellDetector.getAllShellConfigFiles();
+    const current = this.shellDetector.getSystemInfo();
+    if (current.configFile && !shells.some(entry => entry.file === current.configFile)) {
+      shells.push({ shell: current.shell, file: current.configFile });
+    }
+    if (shells.length === 0) {
+      return { status: 'warn', message: 'no shell config file found', fix: 'see "Manual Shell Setup" in the README' };
+    }
+
+    const tools = Object.values(this.config.getTools())
+      .filter(tool => tool.name === Schema.DEFAULT_TOOL || tool.source === 'user');
+    const problems = [];
+    const repairs = [];
+
+    for (const { shell, file } of shells) {
+      for (const tool of tools) {
+        const target = tool.name === Schema.DEFAULT_TOOL ? WRAPPER_COMMAND : `${WRAPPER_COMMAND} --tool=${tool.name}`;
+        const aliases = this.shellDetector.findAliases(tool.bin, shell);
+        const ours = aliases.filter(line => line.includes(WRAPPER_COMMAND));
+
+        if (aliases.length === 0) {
+          problems.push({ status: 'warn', text: `${tool.bin} alias missing in ${file}` });
+        } else if (!aliases[aliases.length - 1].includes(WRAPPER_COMMAND)) {
+          problems.push({ status: 'fail', text: `${file} redefines ${tool.bin} after the wrapper's alias: ${aliases[aliases.length - 1]}` });
+        } else if (ours.length > 1) {
+          problems.push({ status: 'warn', text: `${tool.bin} alias defined ${ours.length} times in ${file}` });
+        } else {
+          continue;
+        }
+
+        // Drop our definitions and append a single fresh one, so it comes last
+        repairs.push(() => {
+          this.shellDetector.removeAlias(tool.bin, shell);
+          this.shellDetector.addAlias(tool.bin, target, shell);
+        });
+      }
+    }
+
+    if (problems.length === 0) {
+      return { status: 'pass', message: `aliases point at the wrapper in ${shells.map(entry => entry.file).join(', ')}` };
+    }
+    const redefined = problems.some(problem => problem.status === 'fail');
+    return {
+      status: redefined ? 'fail' : 'warn',
+      message: problems.map(problem => problem.text).join('; '),
+      fix: redefined
+        ? 'remove your own definitions of these commands so the wrapper\'s alias comes last, then restart the terminal'
+        : 'add a single wrapper alias at the end of each file, then restart the terminal',
+      repair: () => repairs.forEach(repair => repair())
+    };
+  }
+
+  // The log file (and config next to it) must be writable, which a `sudo npm install`
+  // can break by creating the directory as root
+  checkLogDirectory() {
+    const logFile = this.logger.getLogPath();
+    const logDir = path.dirname(logFile);
+    const targets = [logDir, logFile].filter(target => fs.existsSync(target));
+
+    const unwritable = targets.filter(target => {
+      try {
+        fs.accessSync(target, fs.constants.W_OK);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    });
+    if (unwritable.length === 0) {
+      return { status: 'pass', message: `${logDir} is writable` };
+    }
+
+    // Only our own files can be fixed without sudo
+    const owned = typeof process.getuid === 'function' &&
+      unwritable.every(target => fs.statSync(target).uid === process.getuid());
+    return {
+      status: 'fail',
+      message: `${unwritable.join(', ')} not writable; logs, config and state can't be saved`,
+      fix: os.platform() === 'win32'
+        ? `give your user write access to ${logDir}`
+        : `sudo chown -R "$(whoami)" ${logDir}`,
+      repair: owned
+        ? () => unwritable.forEach(target => fs.chmodSync(target, fs.statSync(target).mode | 0o600 | (target === logDir ? 0o100 : 0)))
+        : null
+    };
+  }
+}
+
+module.exports = Doctor;
@@ -0,0 +1,65 @@
+const { execFileSync, execSync } = require('child_process');
+
+// Semver-looking tokens in --version output, with an optional leading "v"
+const VERSION_PATTERN = /\bv?\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?(?!\.?\d)/g;
+
+// Smoke test for a freshly installed version, run before it is reported as updated
+class HealthCheck {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  // Returns { ok: true } or { ok: false, error } for the version installed at binPath.
+  // `command` is an optional user-defined shell command that must exit 0; it receives
+  // GEMINI_CLI_BIN and GEMINI_CLI_VERSION in its environment.
+  run(binPath, expectedVersion, { command = null, timeout = 30000 } = {}) {
+    try {
+      const output = execFileSync(process.execPath, [binPath, '--version'], {
+        encoding: 'utf8',
+        stdio: 'pipe',
+        timeout
+      });
+
+      if (!HealthCheck.reportsVersion(output, expectedVersion)) {
+        return { ok: false, error: `--version reported "${output.trim()}", expected ${expectedVersion}` };
+      }
+    } catch (error) {
+      return { ok: false, error: `--version failed: ${this.describeFailure(error)}` };
+    }
+
+    if (command) {
+      try {
+        execSync(command, {
+          encoding: 'utf8',
+          stdio: 'pipe',
+          timeout,
+          env: { ...process.env, GEMINI_CLI_BIN: binPath, GEMINI_CLI_VERSION: expectedVersion }
+        });
+      } catch (error) {
+        return { ok: false, error: `healthCheckCommand failed: ${this.describeFailure(error)}` };
+      }
+    }
+
+    this.logger.debug(`Health check passed for ${expectedVersion}`);
+    return { ok: true };
+  }
+
+  // Whether `--version` output names exactly `version`; a plain substring check would
+  // accept 0.1.12 for 0.1.1
+  static reportsVersion(output, version) {
+    const versions = output.match(VERSION_PATTERN) || [];
+    return versions.some(found => found.replace(/^v/, '') === version);
+  }
+
+  describeFailure(error) {
+    if (error.code === 'ETIMEDOUT') {
+      return 'timed out';
+    }
+
+    const stderr = error.stderr ? String(error.stderr).trim().split('\n').slice(-3).join(' ') : '';
+    const status = error.status !== undefined && error.status !== null ? `exit code ${error.status}` : error.message;
+    return stderr ? `${status}: ${stderr}` : status;
+  }
+}
+
+module.exports = HealthCheck;
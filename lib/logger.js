@@ -2,13 +2,15 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const chalk = require('chalk');
+const Config = require('./config');
 
 class Logger {
-  constructor() {
+  constructor(config = null) {
     this.logDir = path.join(os.homedir(), '.gemini-cli-updater');
     this.logFile = path.join(this.logDir, 'updater.log');
     this.debugMode = process.env.GEMINI_UPDATER_DEBUG === 'true';
     this.maxLogSize = 1024 * 1024; // 1MB
+    this.enableLogging = (config || new Config()).isLoggingEnabled();
     this.ensureLogDir();
   }
 
@@ -60,21 +62,25 @@ class Logger {
   }
 
   log(level, message, ...args) {
+    // Respect the enableLogging setting; console output is unaffected
+    if (!this.enableLogging) return;
+
     const formattedMessage = this.formatMessage(level, message, ...args);
     this.writeToFile(formattedMessage);
   }
 
+  // Console output goes to stderr so it never mixes with the tool's own output
   debug(message, ...args) {
     this.log('debug', message, ...args);
     if (this.debugMode) {
-      console.log(chalk.gray(`[DEBUG] ${message}`), ...args);
+      console.error(chalk.gray(`[DEBUG] ${message}`), ...args);
     }
   }
 
   info(message, ...args) {
     this.log('info', message, ...args);
     if (this.debugMode) {
-      console.log(chalk.blue(`[INFO] ${message}`), ...args);
+      console.error(chalk.blue(`[INFO] ${message}`), ...args);
     }
   }
 
@@ -93,7 +99,7 @@ class Logger {
   success(message, ...args) {
     this.log('info', message, ...args);
     if (this.debugMode) {
-      console.log(chalk.green(`[SUCCESS] ${message}`), ...args);
+      console.error(chalk.green(`[SUCCESS] ${message}`), ...args);
     }
   }
 
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org/';
+
+// Reads the parts of the user's npm configuration that matter for talking to the
+// registry: registry URLs (including @scope:registry), auth, proxies and TLS settings.
+// Precedence follows npm: npm_config_* env > user .npmrc > global npmrc, which lives at
+// $PREFIX/etc/npmrc unless globalconfig says otherwise. Like npm in
+// global mode, the .npmrc of the current directory is ignored: a cloned repository must
+// not be able to pick the registry, proxy or CA that tools are installed from.
+// `overrides` (e.g. a registry set by the team policy) take precedence over all of them.
+class NpmConfig {
+  constructor(overrides = {}) {
+    this.values = { ...this.load(), ...overrides };
+  }
+
+  load() {
+    const env = this.readEnv();
+    const userconfig = env.userconfig || path.join(os.homedir(), '.npmrc');
+    const user = this.readFile(userconfig);
+
+    // The prefix may itself be set in the user .npmrc (e.g. prefix=~/.npm-global)
+    const prefix = (env.prefix || user.prefix || NpmConfig.getDefaultPrefix()).replace(/^~(?=$|[\\/])/, os.homedir());
+    const globalconfig = env.globalconfig || path.join(prefix, 'etc', 'npmrc');
+    const global = path.resolve(globalconfig) === path.resolve(userconfig) ? {} : this.readFile(globalconfig);
+
+    return { ...global, ...user, ...env };
+  }
+
+  // npm's default global prefix: the directory above bin/node, or the directory of
+  // node.exe on Windows
+  static getDefaultPrefix() {
+    if (process.env.PREFIX) return process.env.PREFIX;
+    if (process.platform === 'win32') return path.dirname(process.execPath);
+
+    const prefix = path.dirname(path.dirname(process.execPath));
+    return process.env.DESTDIR ? path.join(process.env.DESTDIR, prefix) : prefix;
+  }
+
+  readFile(file) {
+    try {
+      if (!fs.existsSync(file)) return {};
+      return this.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // Minimal ini parser for .npmrc: key=value, key[]=value, comments and ${ENV} expansion
+  parse(content) {
+    const values = {};
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+
+      const separator = line.indexOf('=');
+      if (separator === -1) continue;
+
+      let key = line.slice(0, separator).trim();
+      let value = line.slice(separator + 1).trim().replace(/^(['"])(.*)\1$/, '$2');
+      value = value.replace(/\$\{([^}]+)\}/g, (match, name) => process.env[name] || '');
+
+      if (key.endsWith('[]')) {
+        key = key.slice(0, -2);
+        values[key] = [].concat(values[key] || [], value);
+      } else {
+        values[key] = value;
+      }
+    }
+
+    return values;
+  }
+
+  readEnv() {
+    const values = {};
+    for (const [name, value] of Object.entries(process.env)) {
+      const match = name.match(/^npm_config_(.+)$/i);
+      if (match && value !== '') {
+        values[match[1].toLowerCase().replace(/_/g, '-')] = value;
+      }
+    }
+    return values;
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  // Registry for a package, honoring @scope:registry
+  getRegistry(packageName) {
+    const scope = packageName.startsWith('@') ? packageName.split('/')[0] : null;
+    const registry = (scope && this.get(`${scope}:registry`)) || this.get('registry') || DEFAULT_REGISTRY;
+    return registry.endsWith('/') ? registry : `${registry}/`;
+  }
+
+  getPackumentUrl(packageName) {
+    return `${this.getRegistry(packageName)}${packageName.replace('/', '%2f')}`;
+  }
+
+  // "Nerf-darted" key prefix npm uses for per-registry credentials, e.g. //host/path/
+  getNerfDart(url) {
+    const parsed = new URL(url);
+    return `//${parsed.host}${parsed.pathname.replace(/[^/]*$/, '')}`;
+  }
+
+  // Authorization header for a registry URL, using the most specific matching credentials
+  getAuthorization(url) {
+    let prefix = this.getNerfDart(url);
+
+    while (prefix.length > 2) {
+      const token = this.get(`${prefix}:_authToken`);
+      if (token) return `Bearer ${token}`;
+
+      const auth = this.get(`${prefix}:_auth`);
+      if (auth) return `Basic ${auth}`;
+
+      const username = this.get(`${prefix}:username`);
+      const password = this.get(`${prefix}:_password`);
+      if (username && password) {
+        return `Basic ${Buffer.from(`${username}:${Buffer.from(password, 'base64').toString()}`).toString('base64')}`;
+      }
+
+      // Walk up one path segment: //host/a/b/ -> //host/a/
+      prefix = prefix.replace(/[^/]+\/$/, '');
+    }
+
+    // Legacy top-level token, only ever sent to the default registry
+    const legacyToken = this.get('_authToken');
+    return legacyToken && url.startsWith(this.getRegistry('')) ? `Bearer ${legacyToken}` : null;
+  }
+
+  // Proxy URL for a request, from npm config or HTTPS_PROXY/HTTP_PROXY, honoring NO_PROXY
+  getProxy(url) {
+    const parsed = new URL(url);
+    const noProxy = this.get('noproxy') || process.env.NO_PROXY || process.env.no_proxy || '';
+    if (this.isNoProxy(parsed.hostname, noProxy)) {
+      return null;
+    }
+
+    if (parsed.protocol === 'https:') {
+      return this.get('https-proxy') || process.env.HTTPS_PROXY || process.env.https_proxy ||
+        this.get('proxy') || process.env.HTTP_PROXY || process.env.http_proxy || null;
+    }
+    return this.get('proxy') || process.env.HTTP_PROXY || process.env.http_proxy || null;
+  }
+
+  isNoProxy(hostname, noProxy) {
+    const entries = String(noProxy).split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+    const host = hostname.toLowerCase();
+
+    return entries.some(entry => {
+      if (entry === '*') return true;
+      const domain = entry.replace(/^\*?\./, '').replace(/:\d+$/, '');
+      return host === domain || host.endsWith(`.${domain}`);
+    });
+  }
+
+  // Extra certificate authorities from `cafile` and `ca`, or undefined for Node's defaults
+  getCA() {
+    // Inline certificates in .npmrc use literal \n for line breaks
+    const ca = [].concat(this.get('ca') || []).map(cert => cert.replace(/\\n/g, '\n'));
+    const cafile = this.get('cafile');
+
+    if (cafile) {
+      try {
+        ca.push(fs.readFileSync(cafile, 'utf8'));
+      } catch (error) {
+        throw new Error(`Could not read cafile ${cafile}: ${error.message}`);
+      }
+    }
+
+    return ca.length > 0 ? ca : undefined;
+  }
+
+  isStrictSSL() {
+    return String(this.get('strict-ssl')) !== 'false';
+  }
+
+  // .npmrc contents that reproduce the registry settings for `packageName`, written
+  // into the version store's install directory so npm/pnpm/yarn use the same registry
+  // no matter which directory they run in
+  toNpmrc(packageName) {
+    const defaultRegistry = this.getRegistry('');
+    const packageRegistry = this.getRegistry(packageName);
+    const scope = packageName.startsWith('@') ? packageName.split('/')[0] : null;
+    const lines = [`registry=${defaultRegistry}`];
+    if (scope && packageRegistry !== defaultRegistry) lines.push(`${scope}:registry=${packageRegistry}`);
+
+    for (const registry of new Set([defaultRegistry, packageRegistry])) {
+      const authorization = this.getAuthorization(registry);
+      if (authorization && authorization.startsWith('Bearer ')) {
+        lines.push(`${this.getNerfDart(registry)}:_authToken=${authorization.slice(7)}`);
+      } else if (authorization) {
+        lines.push(`${this.getNerfDart(registry)}:_auth=${authorization.slice(6)}`);
+      }
+    }
+
+    const proxy = this.getProxy(packageRegistry);
+    if (proxy) lines.push(`https-proxy=${proxy}`, `proxy=${proxy}`);
+    if (this.get('noproxy')) lines.push(`noproxy=${this.get('noproxy')}`);
+    if (this.get('cafile')) lines.push(`cafile=${this.get('cafile')}`);
+    // Inline certificates keep their line breaks as literal \n, one ca[] line each
+    for (const cert of [].concat(this.get('ca') || [])) {
+      lines.push(`ca[]=${cert.replace(/\r?\n/g, '\\n')}`);
+    }
+    if (!this.isStrictSSL()) lines.push('strict-ssl=false');
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+NpmConfig.DEFAULT_REGISTRY = DEFAULT_REGISTRY;
+
+module.exports = NpmConfig;
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execSync } = require('child_process');
+
+// Commands for each supported package manager. `globalRoot` is the global
+// node_modules directory; `installPrefix` installs into a standalone directory
+// (used by the version store).
+const BACKENDS = {
+  npm: {
+    globalRoot: () => run('npm root -g'),
+    installGlobal: spec => `npm install -g ${spec}`,
+    installPrefix: (dir, spec) => `npm install --prefix "${dir}" --no-save --no-package-lock --no-audit --no-fund ${spec}`
+  },
+  pnpm: {
+    globalRoot: () => run('pnpm root -g'),
+    installGlobal: spec => `pnpm add -g ${spec}`,
+    installPrefix: (dir, spec) => `pnpm add --dir "${dir}" ${spec}`
+  },
+  yarn: {
+    globalRoot: () => path.join(run('yarn global dir'), 'node_modules'),
+    installGlobal: spec => `yarn global add ${spec}`,
+    installPrefix: (dir, spec) => `yarn add --cwd "${dir}" --no-lockfile ${spec}`
+  },
+  bun: {
+    globalRoot: () => path.join(process.env.BUN_INSTALL || path.join(os.homedir(), '.bun'), 'install', 'global', 'node_modules'),
+    installGlobal: spec => `bun add -g ${spec}`,
+    installPrefix: (dir, spec) => `bun add --cwd "${dir}" ${spec}`
+  },
+  volta: {
+    // Volta keeps every global package in its own image directory
+    packageRoot: name => {
+      const packageDir = path.join(process.env.VOLTA_HOME || path.join(os.homedir(), '.volta'), 'tools', 'image', 'packages', name);
+      return os.platform() === 'win32' ? path.join(packageDir, 'node_modules') : path.join(packageDir, 'lib', 'node_modules');
+    },
+    installGlobal: spec => `volta install ${spec}`,
+    // Volta has no project-local install, npm comes with every Volta-managed Node
+    installPrefix: (dir, spec) => BACKENDS.npm.installPrefix(dir, spec)
+  }
+};
+
+// Checked in this order; file-based lookups first since they don't spawn a process
+const DETECTION_ORDER = ['volta', 'bun', 'pnpm', 'yarn', 'npm'];
+
+function run(command) {
+  return execSync(command, { encoding: 'utf8', stdio: 'pipe', timeout: 10000 }).trim();
+}
+
+class PackageManager {
+  constructor(name) {
+    if (!BACKENDS[name]) {
+      throw new Error(`Unsupported package manager: ${name} (expected auto, ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    this.name = name;
+    this.backend = BACKENDS[name];
+  }
+
+  // Detect which package manager installed `packageName` globally; falls back to npm.
+  // `preferred` is the packageManager setting, anything but auto skips detection.
+  static detect(packageName, preferred = 'auto') {
+    if (preferred && preferred !== 'auto') {
+      return new PackageManager(preferred);
+    }
+
+    for (const name of DETECTION_ORDER) {
+      const manager = new PackageManager(name);
+      try {
+        if (fs.existsSync(path.join(manager.getGlobalPackageDir(packageName), 'package.json'))) {
+          manager.detected = true;
+          return manager;
+        }
+      } catch (error) {
+        // Package manager not installed or its global root can't be resolved
+      }
+    }
+
+    return new PackageManager('npm');
+  }
+
+  getGlobalPackageDir(packageName) {
+    const root = this.backend.packageRoot
+      ? this.backend.packageRoot(packageName)
+      : this.backend.globalRoot();
+    return path.join(root, ...packageName.split('/'));
+  }
+
+  installGlobal(spec, options = {}) {
+    return this.exec(this.backend.installGlobal(spec), options);
+  }
+
+  installPrefix(dir, spec, options = {}) {
+    return this.exec(this.backend.installPrefix(dir, spec), options);
+  }
+
+  // `timeout` kills a hung install instead of blocking the wrapper forever
+  exec(command, { timeout } = {}) {
+    try {
+      return execSync(command, { encoding: 'utf8', stdio: 'pipe', timeout });
+    } catch (error) {
+      if (error.code === 'ETIMEDOUT') {
+        error.message = `${this.name} did not finish within ${timeout / 1000}s: ${command}`;
+      }
+      throw error;
+    }
+  }
+}
+
+PackageManager.NAMES = Object.keys(BACKENDS);
+
+module.exports = PackageManager;
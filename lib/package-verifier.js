@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+
+const PUBLISH_ATTESTATION = 'https://github.com/npm/attestation/tree/main/specs/publish/v0.1';
+const SLSA_PROVENANCE = 'https://slsa.dev/provenance/';
+
+// Checks a release tarball before it is installed:
+// - integrity: the tarball's SHA-512 matches `dist.integrity` from the packument
+// - signature: the registry's ECDSA signature over `name@version:integrity` verifies
+//   against the registry's public keys (/-/npm/v1/keys)
+// - provenance: the npm publish attestation is signed by the registry and it, and any
+//   SLSA provenance statement, names this exact tarball digest. The Sigstore certificate
+//   chain of the provenance itself is not checked; `npm audit signatures` does that.
+// Each check yields 'verified', 'missing' (nothing published to check) or, for
+// registries without signing keys, 'unsupported'. A failed check throws (code EVERIFY).
+class PackageVerifier {
+  constructor(registry, npmConfig) {
+    this.registry = registry;
+    this.npmConfig = npmConfig;
+    this.keys = new Map(); // Registry URL -> signing keys (null when unsupported)
+  }
+
+  // Download and verify the tarball for `version`. Resolves with
+  // { tarball: Buffer, verification: { integrity, signature, provenance } }.
+  async verify(packageName, packument, version, requestOptions = {}) {
+    const manifest = (packument.versions || {})[version];
+    const dist = manifest && manifest.dist;
+    if (!dist || !dist.tarball) {
+      throw this.error(`${packageName}@${version} has no tarball in the registry metadata`);
+    }
+
+    const tarball = await this.registry.getBuffer(dist.tarball, requestOptions);
+    const keys = await this.getKeys(this.npmConfig.getRegistry(packageName), requestOptions);
+    const publishedAt = packument.time && packument.time[version];
+
+    return {
+      tarball,
+      verification: {
+        integrity: this.checkIntegrity(packageName, version, tarball, dist.integrity),
+        signature: this.checkSignature(packageName, version, dist, keys, publishedAt),
+        provenance: await this.checkProvenance(packageName, version, tarball, dist, keys, requestOptions)
+      }
+    };
+  }
+
+  checkIntegrity(packageName, version, tarball, integrity) {
+    // SRI strings may list several hashes, e.g. "sha512-... sha1-..."
+    const expected = String(integrity || '').split(/\s+/).find(hash => hash.startsWith('sha512-'));
+    if (!expected) return 'missing';
+
+    const actual = `sha512-${crypto.createHash('sha512').update(tarball).digest('base64')}`;
+    if (actual !== expected) {
+      throw this.error(`Integrity mismatch for ${packageName}@${version}: expected ${expected}, got ${actual}`);
+    }
+    return 'verified';
+  }
+
+  checkSignature(packageName, version, dist, keys, publishedAt) {
+    const signatures = dist.signatures || [];
+    if (signatures.length === 0) return 'missing';
+    if (!keys) return 'unsupported';
+
+    const message = `${packageName}@${version}:${dist.integrity}`;
+    for (const { keyid, sig } of signatures) {
+      const key = keys.find(candidate => candidate.keyid === keyid);
+      if (!key) continue;
+
+      // Keys are rotated; a key is only trusted for versions published before it expired
+      if (key.expires && publishedAt && new Date(publishedAt) > new Date(key.expires)) {
+        throw this.error(`${packageName}@${version} was signed with key ${keyid}, which expired before it was published`);
+      }
+      if (!this.verifyEcdsa(key, message, sig)) {
+        throw this.error(`Invalid registry signature for ${packageName}@${version} (key ${keyid})`);
+      }
+      return 'verified';
+    }
+
+    throw this.error(`${packageName}@${version} is signed with an unknown key (${signatures.map(s => s.keyid).join(', ')})`);
+  }
+
+  async checkProvenance(packageName, version, tarball, dist, keys, requestOptions) {
+    if (!dist.attestations || !dist.attestations.url) return 'missing';
+    if (!keys) return 'unsupported';
+
+    const { attestations = [] } = await this.registry.getJson(dist.attestations.url, requestOptions);
+    const digest = crypto.createHash('sha512').update(tarball).digest('hex');
+    const subjectName = `pkg:npm/${packageName.replace('@', '%40')}@${version}`;
+
+    const publish = attestations.find(attestation => attestation.predicateType === PUBLISH_ATTESTATION);
+    if (!publish) {
+      throw this.error(`${packageName}@${version} lists attestations but no npm publish attestation`);
+    }
+
+    for (const attestation of attestations) {
+      const envelope = attestation.bundle && attestation.bundle.dsseEnvelope;
+      if (!envelope) {
+        throw this.error(`Malformed attestation for ${packageName}@${version}`);
+      }
+
+      // Only the publish attestation is signed with a registry key
+      if (attestation === publish && !this.verifyEnvelope(envelope, keys)) {
+        throw this.error(`Invalid publish attestation signature for ${packageName}@${version}`);
+      }
+
+      if (attestation === publish || attestation.predicateType.startsWith(SLSA_PROVENANCE)) {
+        const statement = JSON.parse(Buffer.from(envelope.payload, 'base64').toString('utf8'));
+        const matches = (statement.subject || []).some(subject =>
+          decodeURIComponent(subject.name) === decodeURIComponent(subjectName) && subject.digest && subject.digest.sha512 === digest);
+        if (!matches) {
+          throw this.error(`Attestation ${attestation.predicateType} does not match the ${packageName}@${version} tarball`);
+        }
+      }
+    }
+    return 'verified';
+  }
+
+  // DSSE signatures cover the "pre-authentication encoding" of type and payload
+  verifyEnvelope(envelope, keys) {
+    const payload = Buffer.from(envelope.payload, 'base64');
+    const pae = Buffer.concat([
+      Buffer.from(`DSSEv1 ${Buffer.byteLength(envelope.payloadType)} ${envelope.payloadType} ${payload.length} `),
+      payload
+    ]);
+
+    return (envelope.signatures || []).some(({ keyid, sig }) => {
+      const key = keys.find(candidate => candidate.keyid === keyid);
+      return key && this.verifyEcdsa(key, pae, sig);
+    });
+  }
+
+  verifyEcdsa(key, message, signature) {
+    try {
+      const publicKey = crypto.createPublicKey({ key: Buffer.from(key.key, 'base64'), format: 'der', type: 'spki' });
+      return crypto.verify('sha256', Buffer.from(message), publicKey, Buffer.from(signature, 'base64'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Signing keys for a registry, or null if it doesn't publish any
+  async getKeys(registryUrl, requestOptions) {
+    if (!this.keys.has(registryUrl)) {
+      let keys = null;
+      try {
+        ({ keys = null } = await this.registry.getJson(`${registryUrl}-/npm/v1/keys`, requestOptions));
+      } catch (error) {
+        if (error.offline || error.retryable) throw error;
+        // Not found or not JSON: this registry doesn't sign packages
+      }
+      this.keys.set(registryUrl, keys);
+    }
+    return this.keys.get(registryUrl);
+  }
+
+  error(message) {
+    const error = new Error(message);
+    error.code = 'EVERIFY';
+    return error;
+  }
+}
+
+module.exports = PackageVerifier;
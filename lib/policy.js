@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const semver = require('semver');
+const Schema = require('./config-schema');
+
+// Team policy maintained by whoever manages the machine, e.g.
+//   {
+//     "minVersion": "0.4.0",          // older installs are updated before Gemini starts
+//     "maxVersion": "0.9.2",          // nothing newer is installed or launched
+//     "settings": { "channel": "stable" },
+//     "lockedSettings": ["channel"],  // users and env vars can't change these
+//     "registry": "https://npm.corp.example.com/",
+//     "message": "Questions? Ask in #dev-env",
+//     "tools": {                      // per-tool bounds and settings; may also register tools
+//       "claude": { "package": "@anthropic-ai/claude-code", "minVersion": "1.0.0" }
+//     }
+//   }
+// Top-level minVersion/maxVersion apply to Gemini CLI (the default tool), settings and
+// lockedSettings to every tool. It lives at /etc/gemini-cli-updater/policy.json
+// (%ProgramData% on Windows) or at the path in GEMINI_UPDATER_POLICY. No file means no policy.
+class Policy {
+  constructor(file = null, data = {}) {
+    this.file = file;
+    this.minVersion = data.minVersion || null;
+    this.maxVersion = data.maxVersion || null;
+    this.settings = data.settings || {};
+    this.lockedSettings = data.lockedSettings || [];
+    this.registry = data.registry || null;
+    this.message = data.message || null;
+    this.tools = data.tools || {};
+    this.label = data.label || 'Version'; // How getViolation() names the package, e.g. "Gemini CLI"
+  }
+
+  static getPath() {
+    if (process.env.GEMINI_UPDATER_POLICY) {
+      return process.env.GEMINI_UPDATER_POLICY;
+    }
+    return os.platform() === 'win32'
+      ? path.join(process.env.ProgramData || 'C:\\ProgramData', 'gemini-cli-updater', 'policy.json')
+      : '/etc/gemini-cli-updater/policy.json';
+  }
+
+  // Throws with the file name and offending field if the policy is unreadable or invalid
+  static load(file = Policy.getPath()) {
+    if (!fs.existsSync(file)) {
+      return new Policy();
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid policy file ${file}: ${error.message}`);
+    }
+
+    const invalid = field => new Error(`Invalid policy file ${file}: "${field}" ${Policy.FIELDS[field]}`);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error(`Invalid policy file ${file}: expected a JSON object`);
+    if (data.minVersion && !semver.valid(data.minVersion)) throw invalid('minVersion');
+    if (data.maxVersion && !semver.valid(data.maxVersion)) throw invalid('maxVersion');
+    if (data.settings && (typeof data.settings !== 'object' || Array.isArray(data.settings))) throw invalid('settings');
+    if (data.lockedSettings && !Array.isArray(data.lockedSettings)) throw invalid('lockedSettings');
+
+    // Settings are checked against the same schema as config.json
+    const problems = Schema.validateSettings(data.settings || {});
+    if (problems.length > 0) throw new Error(`Invalid policy file ${file}: ${problems[0]}`);
+    const unknown = (data.lockedSettings || []).find(key => !(key in Schema.SETTINGS));
+    if (unknown !== undefined) throw new Error(`Invalid policy file ${file}: "lockedSettings" names unknown setting "${unknown}"`);
+    if (data.tools) Policy.validateTools(file, data.tools);
+    if (data.registry && !/^https?:\/\//.test(data.registry)) throw invalid('registry');
+
+    return new Policy(file, data);
+  }
+
+  static validateTools(file, tools) {
+    if (typeof tools !== 'object' || Array.isArray(tools)) {
+      throw new Error(`Invalid policy file ${file}: "tools" must be an object of tool name -> section`);
+    }
+
+    for (const [name, section] of Object.entries(tools)) {
+      // Also rejects sections that aren't objects, before their fields are read below
+      const problems = Schema.validateTool(name, section, { partial: true });
+      if (problems.length > 0) throw new Error(`Invalid policy file ${file}: ${problems[0]}`);
+
+      const invalid = field => `tools.${name}.${field} ${Policy.FIELDS[field]}`;
+      if (section.minVersion && !semver.valid(section.minVersion)) problems.push(invalid('minVersion'));
+      if (section.maxVersion && !semver.valid(section.maxVersion)) problems.push(invalid('maxVersion'));
+      if (section.lockedSettings && !Array.isArray(section.lockedSettings)) {
+        problems.push(invalid('lockedSettings'));
+      } else {
+        const unknown = (section.lockedSettings || []).find(key => !(key in Schema.SETTINGS));
+        if (unknown !== undefined) problems.push(`tools.${name}.lockedSettings names unknown setting "${unknown}"`);
+      }
+      if (name === Schema.SELF_NAME && section.package !== undefined) problems.push(`tools.${name} bounds the wrapper's own version and can't name a package`);
+      if (problems.length > 0) throw new Error(`Invalid policy file ${file}: ${problems[0]}`);
+    }
+  }
+
+  // The policy as it applies to one tool: its own section's bounds, settings and locks
+  // on top of the global ones
+  forTool(name, label) {
+    const section = this.tools[name] || {};
+    const isDefault = name === Schema.DEFAULT_TOOL;
+
+    return new Policy(this.file, {
+      minVersion: section.minVersion || (isDefault ? this.minVersion : null),
+      maxVersion: section.maxVersion || (isDefault ? this.maxVersion : null),
+      settings: { ...this.settings, ...section.settings },
+      lockedSettings: [...new Set([...this.lockedSettings, ...(section.lockedSettings || [])])],
+      registry: this.registry,
+      message: this.message,
+      tools: this.tools,
+      label
+    });
+  }
+
+  isActive() {
+    return this.file !== null;
+  }
+
+  isLocked(key) {
+    return this.lockedSettings.includes(key);
+  }
+
+  // Why `version` is outside the policy's range, or null if it is allowed
+  getViolation(version) {
+    if (this.minVersion && semver.lt(version, this.minVersion)) {
+      return `${this.label} ${version} is older than the minimum version ${this.minVersion} required by ${this.file}`;
+    }
+    if (this.maxVersion && semver.gt(version, this.maxVersion)) {
+      return `${this.label} ${version} is newer than the maximum version ${this.maxVersion} allowed by ${this.file}`;
+    }
+    return null;
+  }
+}
+
+Policy.FIELDS = {
+  minVersion: 'must be an exact version such as 0.4.0',
+  maxVersion: 'must be an exact version such as 0.9.2',
+  settings: 'must be an object of settings',
+  lockedSettings: 'must be an array of setting names',
+  registry: 'must be an http(s) URL'
+};
+
+module.exports = Policy;
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+
+// A project pins a tool's version in .<bin>-version or the package.json field
+// <bin>Cli, e.g. .gemini-version / "geminiCli" or .claude-version / "claudeCli"
+class ProjectVersion {
+  constructor(tool = { bin: 'gemini', displayName: 'Gemini CLI' }) {
+    this.displayName = tool.displayName;
+    this.versionFile = ProjectVersion.getVersionFile(tool.bin);
+    this.packageField = ProjectVersion.getPackageField(tool.bin);
+  }
+
+  static getVersionFile(bin) {
+    return `.${bin}-version`;
+  }
+
+  static getPackageField(bin) {
+    return `${bin.replace(/[-._]+([a-z0-9])/g, (match, char) => char.toUpperCase())}Cli`;
+  }
+
+  // Walk up from startDir looking for the version file or package.json field. The
+  // nearest directory wins; within one directory the version file takes precedence.
+  // Returns { version, source } or null when no project pins a version.
+  find(startDir = process.cwd()) {
+    let dir = path.resolve(startDir);
+
+    while (true) {
+      const found = this.readVersionFile(dir) || this.readPackageJson(dir);
+      if (found) return found;
+
+      const parent = path.dirname(dir);
+      if (parent === dir) return null;
+      dir = parent;
+    }
+  }
+
+  readVersionFile(dir) {
+    const file = path.join(dir, this.versionFile);
+
+    try {
+      if (!fs.existsSync(file)) return null;
+
+      // First non-empty line that isn't a comment, like .nvmrc
+      const line = fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(entry => entry.trim())
+        .find(entry => entry && !entry.startsWith('#'));
+
+      return line ? { version: this.parseVersion(line, file), source: file } : null;
+    } catch (error) {
+      if (error.code === 'EACCES') return null;
+      throw error;
+    }
+  }
+
+  readPackageJson(dir) {
+    const file = path.join(dir, 'package.json');
+
+    try {
+      if (!fs.existsSync(file)) return null;
+
+      const packageJson = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const value = packageJson[this.packageField];
+      return value ? { version: this.parseVersion(String(value), `${file} (${this.packageField})`), source: file } : null;
+    } catch (error) {
+      // An unreadable or malformed package.json shouldn't block the tool; keep searching
+      if (error instanceof SyntaxError || error.code === 'EACCES') return null;
+      throw error;
+    }
+  }
+
+  // Only exact versions are accepted so every checkout runs the same release
+  parseVersion(value, source) {
+    const version = semver.clean(value);
+    if (!version) {
+      throw new Error(`Invalid ${this.displayName} version "${value}" in ${source} (an exact version such as 0.1.12 is required)`);
+    }
+    return version;
+  }
+}
+
+module.exports = ProjectVersion;
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const writeFileAtomic = require('./write-file-atomic');
+
+// On-disk cache of registry metadata. Entries keep the validators (ETag, Last-Modified)
+// needed for conditional requests and serve as a fallback when the registry is unreachable.
+class RegistryCache {
+  constructor() {
+    this.cacheDir = path.join(os.homedir(), '.gemini-cli-updater', 'cache', 'registry');
+  }
+
+  getFile(url) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex');
+    return path.join(this.cacheDir, `${hash}.json`);
+  }
+
+  // Returns { url, etag, lastModified, fetchedAt, body } or null
+  get(url) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(this.getFile(url), 'utf8'));
+      return entry.url === url ? entry : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  set(url, { etag = null, lastModified = null, body }) {
+    const entry = { url, etag, lastModified, fetchedAt: Date.now(), body };
+
+    try {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      writeFileAtomic(this.getFile(url), JSON.stringify(entry));
+    } catch (error) {
+      // Caching is an optimisation only
+    }
+    return entry;
+  }
+
+  clear() {
+    fs.rmSync(this.cacheDir, { recursive: true, force: true });
+  }
+
+  // Keep only the packument fields the updater uses; full documents can be megabytes
+  static trimPackument(packument) {
+    const versions = {};
+    for (const [version, manifest] of Object.entries(packument.versions || {})) {
+      versions[version] = {
+        version,
+        dist: manifest.dist,
+        engines: manifest.engines,
+        deprecated: manifest.deprecated
+      };
+    }
+
+    return {
+      name: packument.name,
+      'dist-tags': packument['dist-tags'],
+      versions,
+      time: packument.time
+    };
+  }
+}
+
+module.exports = RegistryCache;
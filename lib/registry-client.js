@@ -0,0 +1,242 @@
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const NpmConfig = require('./npm-config');
+
+// Network errors that mean the registry can't be reached at all (no network, DNS
+// failure, nothing listening) rather than a problem with the request itself
+const OFFLINE_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ENETUNREACH', 'EHOSTUNREACH', 'ENETDOWN', 'ECONNECTTIMEOUT'];
+
+// Errors on an established connection that are usually gone on the next attempt
+const TRANSIENT_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ECONNABORTED'];
+
+// HTTP client for registry metadata that applies the user's npm configuration:
+// registry auth, HTTP(S) proxies with NO_PROXY, custom CAs and strict-ssl.
+class RegistryClient {
+  constructor(npmConfig = new NpmConfig()) {
+    this.npmConfig = npmConfig;
+  }
+
+  // GET a JSON document. Resolves with the parsed body, rejects on HTTP errors.
+  async getJson(url, options = {}) {
+    return (await this.fetchJson(url, options)).data;
+  }
+
+  // GET a JSON document, allowing conditional requests. Resolves with
+  // { statusCode, headers, data }; data is null for 304 Not Modified.
+  // Errors for an unreachable registry have `offline` set. connectTimeout is kept
+  // short so a missing network is noticed quickly; timeout covers the whole request.
+  // Transient failures are retried up to `retries` times, never past `deadline`, and not
+  // when the registry's Retry-After asks for a longer wait than `timeout`.
+  async fetchJson(url, options = {}) {
+    const res = await this.fetch(url, { ...options, headers: { accept: 'application/json', ...options.headers } });
+    if (res.statusCode === 304) {
+      return { statusCode: res.statusCode, headers: res.headers, data: null };
+    }
+
+    try {
+      return { statusCode: res.statusCode, headers: res.headers, data: JSON.parse(res.body.toString('utf8')) };
+    } catch (error) {
+      throw new Error('Failed to parse npm registry response');
+    }
+  }
+
+  // GET a binary resource such as a package tarball. Resolves with a Buffer.
+  async getBuffer(url, options = {}) {
+    return (await this.fetch(url, options)).body;
+  }
+
+  // GET with auth, retries and the error handling described above. Resolves with
+  // { statusCode, headers, body } where body is a Buffer.
+  async fetch(url, { timeout = 10000, connectTimeout = 3000, retries = 0, deadline = null, headers = {} } = {}) {
+    const requestHeaders = {
+      'user-agent': 'gemini-cli-updater',
+      ...headers
+    };
+
+    const authorization = this.npmConfig.getAuthorization(url);
+    if (authorization) {
+      requestHeaders.authorization = authorization;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const remaining = deadline ? deadline - Date.now() : Infinity;
+      if (remaining <= 0) {
+        const error = new Error('Time budget exhausted before registry request');
+        error.code = 'ETIMEDOUT';
+        throw error;
+      }
+
+      try {
+        return await this.fetchOnce(url, requestHeaders, Math.min(timeout, remaining), Math.min(connectTimeout, remaining));
+      } catch (error) {
+        const delay = this.getRetryDelay(error, attempt);
+        // Manual commands and background workers have no deadline; a Retry-After of an
+        // hour must not leave them sleeping that long
+        const waitTooLong = typeof error.retryAfter === 'number' && error.retryAfter > timeout;
+        if (!error.retryable || attempt >= retries || waitTooLong || (deadline && Date.now() + delay >= deadline)) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  async fetchOnce(url, headers, timeout, connectTimeout) {
+    const res = await this.request(url, headers, timeout, connectTimeout);
+    if (res.statusCode >= 400) {
+      const error = new Error(res.statusCode === 404
+        ? `Package not found: HTTP ${res.statusCode}`
+        : `Registry request failed: HTTP ${res.statusCode}`);
+      error.statusCode = res.statusCode;
+      error.retryable = res.statusCode === 429 || res.statusCode >= 500;
+      error.retryAfter = this.parseRetryAfter(res.headers['retry-after']);
+      throw error;
+    }
+    return res;
+  }
+
+  // Exponential backoff with jitter (0.5s, 1s, 2s ... capped at 10s, each randomised
+  // by up to 50%) unless the registry asked for a specific wait with Retry-After
+  getRetryDelay(error, attempt) {
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+      return error.retryAfter;
+    }
+    const base = Math.min(500 * 2 ** attempt, 10000);
+    return Math.round(base / 2 + Math.random() * base / 2);
+  }
+
+  // Retry-After is either a number of seconds or an HTTP date; returns milliseconds
+  parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+
+  request(url, headers, timeout, connectTimeout = timeout) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const proxy = this.npmConfig.getProxy(url);
+      const tlsOptions = {
+        ca: this.npmConfig.getCA(),
+        rejectUnauthorized: this.npmConfig.isStrictSSL()
+      };
+
+      const onResponse = (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        res.on('error', (error) => {
+          reject(this.wrapError(`Registry request to ${target.host} failed: ${error.message}`, error));
+        });
+      };
+
+      const send = (options) => {
+        const transport = target.protocol === 'https:' ? https : http;
+        const req = transport.request({ method: 'GET', headers, ...options }, onResponse);
+
+        req.on('error', (error) => {
+          reject(this.wrapError(`Registry request to ${target.host} failed: ${error.message}`, error));
+        });
+
+        this.limitConnect(req, connectTimeout);
+
+        // Bounds the whole request, including a slowly trickling response body
+        const timer = setTimeout(() => {
+          const error = new Error(`request timed out after ${timeout}ms`);
+          error.code = 'ETIMEDOUT';
+          req.destroy(error);
+        }, timeout);
+        req.on('close', () => clearTimeout(timer));
+
+        req.end();
+      };
+
+      if (!proxy) {
+        send({ hostname: target.hostname, port: target.port, path: target.pathname + target.search, ...tlsOptions });
+        return;
+      }
+
+      const proxyUrl = new URL(proxy);
+      const proxyHeaders = {};
+      if (proxyUrl.username) {
+        const credentials = `${decodeURIComponent(proxyUrl.username)}:${decodeURIComponent(proxyUrl.password)}`;
+        proxyHeaders['proxy-authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      }
+
+      // Plain HTTP registries go through the proxy with an absolute URL
+      if (target.protocol !== 'https:') {
+        send({ hostname: proxyUrl.hostname, port: proxyUrl.port, path: url, headers: { ...headers, ...proxyHeaders } });
+        return;
+      }
+
+      // HTTPS registries are tunnelled through the proxy with CONNECT
+      const port = target.port || 443;
+      const connectReq = (proxyUrl.protocol === 'https:' ? https : http).request({
+        hostname: proxyUrl.hostname,
+        port: proxyUrl.port,
+        method: 'CONNECT',
+        path: `${target.hostname}:${port}`,
+        headers: { host: `${target.hostname}:${port}`, ...proxyHeaders },
+        timeout
+      });
+
+      connectReq.on('connect', (res, socket) => {
+        if (res.statusCode !== 200) {
+          socket.destroy();
+          reject(new Error(`Proxy ${proxyUrl.host} refused connection: HTTP ${res.statusCode}`));
+          return;
+        }
+
+        send({
+          hostname: target.hostname,
+          port,
+          path: target.pathname + target.search,
+          agent: false,
+          createConnection: () => tls.connect({ socket, servername: target.hostname, ...tlsOptions })
+        });
+      });
+
+      connectReq.on('error', (error) => {
+        reject(this.wrapError(`Failed to connect to proxy ${proxyUrl.host}: ${error.message}`, error));
+      });
+
+      this.limitConnect(connectReq, connectTimeout);
+
+      connectReq.on('timeout', () => {
+        connectReq.destroy();
+        reject(this.wrapError(`Timeout connecting to proxy ${proxyUrl.host}`, { code: 'ETIMEDOUT' }));
+      });
+
+      connectReq.end();
+    });
+  }
+
+  // Abort `req` if its socket hasn't connected within `connectTimeout` ms
+  limitConnect(req, connectTimeout) {
+    req.on('socket', (socket) => {
+      if (!socket.connecting) return;
+
+      const timer = setTimeout(() => {
+        const error = new Error(`connect timed out after ${connectTimeout}ms`);
+        error.code = 'ECONNECTTIMEOUT';
+        req.destroy(error);
+      }, connectTimeout);
+
+      socket.once('connect', () => clearTimeout(timer));
+      socket.once('close', () => clearTimeout(timer));
+    });
+  }
+
+  wrapError(message, cause) {
+    const error = new Error(message);
+    error.code = cause.code;
+    error.offline = OFFLINE_CODES.includes(cause.code);
+    error.retryable = TRANSIENT_CODES.includes(cause.code);
+    return error;
+  }
+}
+
+module.exports = RegistryClient;
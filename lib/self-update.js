@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const semver = require('semver');
+const Config = require('./config');
+const Schema = require('./config-schema');
+const Logger = require('./logger');
+const PackageManager = require('./package-manager');
+const Updater = require('./updater');
+const DetachedWorker = require('./detached-worker');
+const packageJson = require('../package.json');
+
+// Directory the running wrapper was loaded from
+const PACKAGE_DIR = path.join(__dirname, '..');
+
+// Keeps gemini-cli-updater itself current, on its own cooldown (selfUpdateCooldown) and
+// with its own state under state.gemini-cli-updater. The check and install run in a
+// detached worker: the package manager replaces the wrapper's files underneath the
+// running process, which only uses modules it loaded at startup, and the next launch
+// runs the new version and shows the notice the worker left behind. In the prompt and
+// notify update modes the worker only checks, and the notice says an update is available.
+class SelfUpdate {
+  constructor() {
+    this.config = new Config(Schema.SELF_NAME);
+    this.logger = new Logger(this.config);
+    this.packageName = packageJson.name;
+    this.currentVersion = packageJson.version;
+    this.updater = null;
+    this.worker = new DetachedWorker({
+      script: __filename,
+      config: this.config,
+      logger: this.logger,
+      label: 'self-update'
+    });
+  }
+
+  // The wrapper's package as a tool definition, so registry settings, the metadata cache,
+  // package verification, denylists, policy bounds and the update lock apply to it too
+  static getTool() {
+    return { name: Schema.SELF_NAME, package: packageJson.name, bin: 'gemini-cli-updater', displayName: packageJson.name };
+  }
+
+  getUpdater() {
+    if (!this.updater) {
+      this.updater = new Updater(SelfUpdate.getTool());
+    }
+    return this.updater;
+  }
+
+  isCheckDue() {
+    const { selfUpdate, selfUpdateCooldown } = this.config.getSettings();
+    if (!selfUpdate || this.config.getUpdateMode() === 'off') {
+      return false;
+    }
+
+    const lastCheck = this.config.getLastUpdateCheck();
+    return !lastCheck || Date.now() - lastCheck >= selfUpdateCooldown;
+  }
+
+  // Start a worker if a check is due. Returns true if one was started.
+  start() {
+    return this.isCheckDue() && this.worker.start();
+  }
+
+  // Returns and clears the notice left by the last self-update, if any
+  takeNotice() {
+    return this.worker.takeNotice();
+  }
+
+  // The newest release the wrapper would update to ({ version, latest, ... } as from
+  // Updater#resolveTargetVersion), with `available` set when it is newer than this one
+  async getTarget() {
+    const target = await this.getUpdater().resolveTargetVersion();
+    return { ...target, available: Boolean(target.version && semver.gt(target.version, this.currentVersion)) };
+  }
+
+  // Package manager that installed the wrapper globally, or null when it runs from
+  // anywhere else (a git checkout, `npm link`, npx), which is never replaced
+  getPackageManager() {
+    const manager = PackageManager.detect(this.packageName, this.config.getSettings().packageManager);
+    try {
+      const globalDir = manager.getGlobalPackageDir(this.packageName);
+      if (fs.lstatSync(globalDir).isSymbolicLink()) return null;
+      return fs.realpathSync(globalDir) === fs.realpathSync(PACKAGE_DIR) ? manager : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Verify and globally install `version` of the wrapper with the package manager that
+  // installed it. Records the attempt in the wrapper's history; throws on failure.
+  async install(version, manager) {
+    const updater = this.getUpdater();
+    const { installTimeout, maxRetries } = this.config.getNetworkSettings();
+    await updater.acquireLock();
+
+    const historyId = this.config.addVersionHistory(this.currentVersion, version, { action: 'self-update' });
+    const tarballPath = path.join(os.tmpdir(), `${this.packageName}-${version}-${process.pid}.tgz`);
+    let verification = null;
+
+    try {
+      const packument = await updater.getPackument();
+      const result = await updater.verifier.verify(this.packageName, packument, version, { timeout: installTimeout, retries: maxRetries });
+      verification = result.verification;
+      updater.assertVerified(version, verification);
+
+      // Installed from the verified tarball, so what runs is exactly what was checked
+      fs.writeFileSync(tarballPath, result.tarball);
+      const output = manager.installGlobal(`"${tarballPath}"`, { timeout: installTimeout });
+      this.logger.debug('Self-update output:', output);
+
+      const installed = JSON.parse(fs.readFileSync(path.join(manager.getGlobalPackageDir(this.packageName), 'package.json'), 'utf8'));
+      if (installed.version !== version) {
+        throw new Error(`Expected ${version} but ${manager.name} installed ${installed.version}`);
+      }
+
+      this.config.setLastUpdateTime(Date.now());
+      this.config.updateVersionHistory(historyId, { outcome: 'success', exitCode: 0, verification });
+      this.logger.info(`Updated ${this.packageName} from ${this.currentVersion} to ${version}`);
+    } catch (error) {
+      error.verification = error.verification || verification;
+      this.config.updateVersionHistory(historyId, updater.describeFailure(error));
+      this.logger.error('Self-update failed:', error.message);
+      throw error;
+    } finally {
+      fs.rmSync(tarballPath, { force: true });
+      updater.releaseLock();
+    }
+  }
+
+  // Worker side: check and install, then leave a notice for the next invocation
+  async work() {
+    const manager = this.getPackageManager();
+    if (!manager) {
+      this.logger.debug(`${PACKAGE_DIR} is not a global install, skipping self-update`);
+      return;
+    }
+
+    const target = await this.getTarget();
+    if (!target.available) return;
+
+    // Only auto mode installs unattended; prompt and notify users get told instead
+    if (this.config.getUpdateMode() !== 'auto') {
+      this.worker.notify({ status: 'available', from: this.currentVersion, to: target.version });
+      return;
+    }
+
+    await this.worker.install(this.currentVersion, target.version, () => this.install(target.version, manager));
+  }
+}
+
+SelfUpdate.PACKAGE_DIR = PACKAGE_DIR;
+
+if (require.main === module) {
+  const selfUpdate = new SelfUpdate();
+
+  selfUpdate.work().catch(error => {
+    selfUpdate.logger.error('Self-update failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = SelfUpdate;
@@ -115,10 +115,8 @@ class ShellDetector {
     return configFiles;
   }
 
-  generateAliasCommand(aliasName, targetCommand) {
-    const shell = this.detectShell();
-    
-    switch (shell) {
+  generateAliasCommand(aliasName, targetCommand, shell = null) {
+    switch (shell || this.detectShell()) {
       case 'fish':
         return `alias ${aliasName} '${targetCommand}'`;
       case 'powershell':
@@ -137,7 +135,7 @@ class ShellDetector {
       throw new Error(`No config file found for shell: ${shell || this.detectShell()}`);
     }
 
-    const aliasCommand = this.generateAliasCommand(aliasName, targetCommand);
+    const aliasCommand = this.generateAliasCommand(aliasName, targetCommand, shell);
     const comment = `# Added by gemini-cli-updater`;
     const aliasBlock = `\n${comment}\n${aliasCommand}\n`;
 
@@ -174,12 +172,19 @@ class ShellDetector {
       const content = fs.readFileSync(configFile, 'utf8');
       const lines = content.split('\n');
       
-      // Remove lines containing our alias and comment
-      const filteredLines = lines.filter(line => {
-        return !line.includes(`alias ${aliasName}=`) && 
-               !line.includes(`function ${aliasName}`) &&
-               !line.includes(`doskey ${aliasName}=`) &&
-               !(line.includes('gemini-cli-updater') && line.includes('#'));
+      // Only aliases pointing at the wrapper, so one the user wrote for the same name stays
+      const isAlias = line => line.includes('gemini-cli-updater') && (
+        line.includes(`alias ${aliasName}=`) ||
+        line.includes(`alias ${aliasName} '`) ||
+        line.includes(`function ${aliasName} {`) ||
+        line.includes(`doskey ${aliasName}=`));
+
+      // Remove the alias and our comment right above it; aliases added for other
+      // managed tools keep theirs
+      const filteredLines = lines.filter((line, index) => {
+        if (isAlias(line)) return false;
+        const isOurComment = line.includes('gemini-cli-updater') && line.includes('#');
+        return !(isOurComment && index + 1 < lines.length && isAlias(lines[index + 1]));
       });
 
       // Only write if content changed
@@ -194,6 +199,24 @@ class ShellDetector {
     }
   }
 
+  // Every definition of `aliasName` in the shell's config file, in file order (the last
+  // one wins), whether or not the wrapper added it
+  findAliases(aliasName, shell = null) {
+    const configFile = this.getShellConfigFile(shell);
+    if (!configFile || !fs.existsSync(configFile)) {
+      return [];
+    }
+
+    return fs.readFileSync(configFile, 'utf8')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => !line.startsWith('#') && (
+        line.startsWith(`alias ${aliasName}=`) ||
+        line.startsWith(`alias ${aliasName} `) ||
+        line.startsWith(`function ${aliasName} {`) ||
+        line.startsWith(`doskey ${aliasName}=`)));
+  }
+
   checkAliasExists(aliasName, shell = null) {
     const configFile = this.getShellConfigFile(shell);
     if (!configFile || !fs.existsSync(configFile)) {
@@ -0,0 +1,37 @@
+const chalk = require('chalk');
+
+// Timing breakdown for `--trace-startup`: how long each wrapper phase took before
+// Gemini was spawned. Printed to stderr so it never mixes with Gemini's output.
+class StartupTrace {
+  constructor(enabled = false) {
+    this.enabled = enabled;
+    this.phases = [];
+    this.last = process.hrtime.bigint();
+  }
+
+  // Record the time spent since the previous mark under `label`
+  mark(label) {
+    if (!this.enabled) return;
+
+    const now = process.hrtime.bigint();
+    this.phases.push({ label, ms: Number(now - this.last) / 1e6 });
+    this.last = now;
+  }
+
+  report() {
+    if (!this.enabled) return;
+
+    // process.uptime() also covers Node's own boot and module loading
+    const total = process.uptime() * 1000;
+    const measured = this.phases.reduce((sum, phase) => sum + phase.ms, 0);
+
+    console.error(chalk.cyan('Startup trace:'));
+    console.error(chalk.gray(`  ${'node boot + module load'.padEnd(26)} ${(total - measured).toFixed(1).padStart(8)} ms`));
+    for (const { label, ms } of this.phases) {
+      console.error(chalk.gray(`  ${label.padEnd(26)} ${ms.toFixed(1).padStart(8)} ms`));
+    }
+    console.error(chalk.white(`  ${'total before spawn'.padEnd(26)} ${total.toFixed(1).padStart(8)} ms`));
+  }
+}
+
+module.exports = StartupTrace;
@@ -0,0 +1,53 @@
+const ora = require('ora');
+
+// Environment variables that mark a CI run. Most services set CI; the others cover
+// services (or job configurations) that don't.
+const CI_VARIABLES = [
+  'CI',
+  'CONTINUOUS_INTEGRATION',
+  'BUILD_NUMBER',
+  'GITHUB_ACTIONS',
+  'GITLAB_CI',
+  'BUILDKITE',
+  'JENKINS_URL',
+  'TF_BUILD',
+  'TEAMCITY_VERSION',
+  'CODEBUILD_BUILD_ID',
+  'BITBUCKET_BUILD_NUMBER'
+];
+
+// Where the wrapper's own output goes at launch. In a terminal it shows spinners and
+// notices; from a pipe, script or CI job (`echo prompt | gemini -p ...`) stdout belongs to
+// the tool, so everything the wrapper prints goes to stderr, and --updater-quiet or
+// GEMINI_UPDATER_QUIET drops all of it except errors.
+class Terminal {
+  constructor({ quiet = false, env = process.env, stdin = process.stdin, stdout = process.stdout } = {}) {
+    this.quiet = quiet;
+    this.ci = Terminal.detectCI(env);
+    this.interactive = Boolean(stdin.isTTY && stdout.isTTY) && !this.ci;
+  }
+
+  // Name of the variable that marks a CI run, or null
+  static detectCI(env) {
+    return CI_VARIABLES.find(name => env[name] && !['false', '0'].includes(env[name].toLowerCase())) || null;
+  }
+
+  // Why the session is or isn't interactive, for the debug log
+  describe() {
+    if (this.ci) return `CI (${this.ci} is set)`;
+    return this.interactive ? 'interactive terminal' : 'stdin or stdout is not a terminal';
+  }
+
+  // ora writes to stderr, but still prints its final line when it can't animate
+  spinner(text) {
+    return ora({ text, isSilent: this.quiet }).start();
+  }
+
+  notify(message) {
+    if (!this.quiet) {
+      console.error(message);
+    }
+  }
+}
+
+module.exports = Terminal;
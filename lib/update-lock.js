@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Cross-process lock around installs and version switches, so two `gemini` processes
+// started at the same time don't install into the version store or switch the active
+// version concurrently. Each managed tool has its own lock. The lock file records the
+// holder's pid and host; a lock whose process is gone, or that is older than
+// `staleAfter`, is taken over. `name` picks another lock file, e.g. the config lock.
+class UpdateLock {
+  constructor({ tool = 'gemini', name = `update-${tool}`, staleAfter = 10 * 60 * 1000 } = {}) {
+    this.lockFile = path.join(os.homedir(), '.gemini-cli-updater', `${name}.lock`);
+    this.staleAfter = staleAfter;
+    this.depth = 0; // Re-entrant within a process, e.g. switchChannel -> performUpdate
+    this.releaseOnExit = () => this.removeIfOwned();
+  }
+
+  // Try to take the lock, polling for up to `wait` ms while another process holds it.
+  // Returns true once held.
+  async acquire({ wait = 0, interval = 250 } = {}) {
+    if (this.depth > 0) {
+      this.depth++;
+      return true;
+    }
+
+    const deadline = Date.now() + wait;
+    while (!this.tryAcquire()) {
+      if (Date.now() + interval > deadline) {
+        return false;
+      }
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+
+    this.held();
+    return true;
+  }
+
+  // Blocking variant of acquire() for short critical sections in synchronous code
+  acquireSync({ wait = 0, interval = 10 } = {}) {
+    if (this.depth > 0) {
+      this.depth++;
+      return true;
+    }
+
+    const deadline = Date.now() + wait;
+    while (!this.tryAcquire()) {
+      if (Date.now() + interval > deadline) {
+        return false;
+      }
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, interval);
+    }
+
+    this.held();
+    return true;
+  }
+
+  held() {
+    this.depth = 1;
+    process.once('exit', this.releaseOnExit);
+  }
+
+  release() {
+    if (this.depth === 0) return;
+    if (--this.depth > 0) return;
+
+    process.removeListener('exit', this.releaseOnExit);
+    this.removeIfOwned();
+  }
+
+  tryAcquire() {
+    fs.mkdirSync(path.dirname(this.lockFile), { recursive: true });
+
+    try {
+      const fd = fs.openSync(this.lockFile, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, hostname: os.hostname(), createdAt: Date.now() }));
+      fs.closeSync(fd);
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const holder = this.getHolder();
+    return this.isStale(holder) ? this.takeOver(holder) : false;
+  }
+
+  // Replace a stale lock. Deleting it would be racy: a second process that saw the same
+  // stale holder could delete the lock the first one has just created. Instead the file
+  // is renamed to a name only this process uses, and only removed if it is still the
+  // stale holder; a fresh lock moved away by mistake is put back.
+  takeOver(staleHolder) {
+    const claimed = `${this.lockFile}.${process.pid}-${Date.now()}`;
+    try {
+      fs.renameSync(this.lockFile, claimed);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return this.tryAcquire();
+    }
+
+    const moved = this.getHolder(claimed);
+    if (JSON.stringify(moved) === JSON.stringify(staleHolder) && this.isStale(moved, claimed)) {
+      fs.rmSync(claimed, { force: true });
+      return this.tryAcquire();
+    }
+
+    // EEXIST: yet another process has created a lock since, which stands
+    try {
+      fs.linkSync(claimed, this.lockFile);
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    fs.rmSync(claimed, { force: true });
+    return false;
+  }
+
+  // { pid, hostname, createdAt } of the current holder, or null
+  getHolder(file = this.lockFile) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  isStale(holder, file = this.lockFile) {
+    // Unreadable: the holder is between creating and writing the file, unless that was long ago
+    if (!holder) {
+      try {
+        return Date.now() - fs.statSync(file).mtimeMs > this.staleAfter;
+      } catch (error) {
+        return false;
+      }
+    }
+
+    if (Date.now() - holder.createdAt > this.staleAfter) {
+      return true;
+    }
+    // A pid can only be checked on the machine that owns it (home directories may be shared)
+    return holder.hostname === os.hostname() && !this.isProcessAlive(holder.pid);
+  }
+
+  isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM: the process exists but belongs to someone else
+      return error.code === 'EPERM';
+    }
+  }
+
+  removeIfOwned() {
+    const holder = this.getHolder();
+    if (holder && holder.pid === process.pid && holder.hostname === os.hostname()) {
+      fs.rmSync(this.lockFile, { force: true });
+    }
+  }
+
+  getLockPath() {
+    return this.lockFile;
+  }
+}
+
+module.exports = UpdateLock;
@@ -1,176 +1,716 @@
-const { execSync, exec } = require('child_process');
-const https = require('https');
+const fs = require('fs');
+const path = require('path');
 const semver = require('semver');
 const Config = require('./config');
 const Logger = require('./logger');
+const VersionStore = require('./version-store');
+const HealthCheck = require('./health-check');
+const PackageManager = require('./package-manager');
+const BinaryCache = require('./binary-cache');
+const NpmConfig = require('./npm-config');
+const RegistryClient = require('./registry-client');
+const RegistryCache = require('./registry-cache');
+const UpdateLock = require('./update-lock');
+const PackageVerifier = require('./package-verifier');
+const Denylist = require('./denylist');
+
+// Named release channels and the npm dist-tag each one follows.
+// Any other channel name is used as a dist-tag directly.
+const CHANNEL_TAGS = {
+  stable: 'latest',
+  preview: 'preview',
+  nightly: 'nightly'
+};
+
+// How long to wait for another process's install before giving up
+const LOCK_WAIT = 10 * 1000;
 
 class Updater {
-  constructor(packageName, commandName) {
-    this.packageName = packageName;
-    this.commandName = commandName;
-    this.config = new Config();
-    this.logger = new Logger();
-    this.updateCooldown = 60 * 60 * 1000; // 1 hour in milliseconds
+  // `tool` is a managed tool definition, { name, package, bin, displayName }, see Config#getTools()
+  constructor(tool) {
+    this.tool = tool;
+    this.toolName = tool.name;
+    this.packageName = tool.package;
+    this.commandName = tool.bin;
+    this.displayName = tool.displayName;
+    this.config = new Config(tool.name);
+    this.logger = new Logger(this.config);
+    this.packageManager = null; // Detected lazily, see getPackageManager()
+    this.npmConfig = new NpmConfig(this.getRegistryOverrides());
+    this.registry = new RegistryClient(this.npmConfig);
+    this.registryCache = new RegistryCache();
+    this.verifier = new PackageVerifier(this.registry, this.npmConfig);
+    this.denylist = new Denylist(this.registry, this.registryCache, this.logger);
+    this.metadata = null; // { fetchedAt, offline } for the last getPackument()
+    this.deadline = null; // Set by startTimeBudget() for updates that block a launch
+    // A hung holder is killed by installTimeout, so a lock older than twice that is stale
+    this.lock = new UpdateLock({ tool: tool.name, staleAfter: this.config.getNetworkSettings().installTimeout * 2 });
+    this.store = new VersionStore(tool, () => this.getPackageManager(), this.npmConfig);
+    this.healthCheck = new HealthCheck(this.logger);
+    this.binaryCache = new BinaryCache();
+    this.currentVersion = null; // Installed and target versions seen by the last checkForUpdate()
+    this.targetVersion = null;
+  }
+
+  // `<bin> updater`, the prefix of this tool's management commands
+  getCommandPrefix() {
+    return `${this.commandName} updater`;
   }
 
-  async checkForUpdate() {
+  // Manual checks (e.g. `gemini updater update`) ignore updateMode and the cooldown, and
+  // throw when the check fails for any reason other than being offline
+  async checkForUpdate(options = {}) {
+    const { manual = false } = options;
+
     try {
+      if (!manual && this.config.getUpdateMode() === 'off') {
+        this.logger.debug('Skipping update check (updateMode off)');
+        return false;
+      }
+
       // Check if we've checked recently to avoid delays
-      if (this.isWithinCooldown()) {
+      if (!manual && this.isWithinCooldown()) {
         this.logger.debug('Skipping update check (within cooldown period)');
         return false;
       }
 
-      const [currentVersion, latestVersion] = await Promise.all([
+      const [currentVersion, target] = await Promise.all([
         this.getCurrentVersion(),
-        this.getLatestVersion()
+        this.resolveTargetVersion()
       ]);
+      const latestVersion = target.version;
+
+      // Cached metadata is fine for status output but not for deciding to install;
+      // the install would need the registry anyway
+      if (this.metadata.offline) {
+        this.logger.debug('Skipping update check (registry unreachable, offline)');
+        return false;
+      }
+
+      this.currentVersion = currentVersion;
+      this.targetVersion = latestVersion;
+
+      if (target.heldBack) {
+        this.logger.info(`${target.latest} is held back by versionConstraint ${target.constraint}`);
+      }
+      for (const { version, reason } of target.skipped) {
+        if (!currentVersion || semver.gt(version, currentVersion)) {
+          this.logger.info(`Skipping ${version}: ${reason}`);
+        }
+      }
+
+      if (!latestVersion) {
+        this.logger.info('No published version is eligible for installation');
+        this.config.setLastUpdateCheck(Date.now());
+        return false;
+      }
 
       if (!currentVersion) {
         this.logger.warn(`${this.commandName} not found, update needed`);
         return true;
       }
 
-      const needsUpdate = semver.lt(currentVersion, latestVersion);
+      const needsUpdate = this.isUpdateNeeded(currentVersion, target);
       
       // Update last check time
       this.config.setLastUpdateCheck(Date.now());
       
       if (needsUpdate) {
         this.logger.info(`Update available: ${currentVersion} -> ${latestVersion}`);
-        // Store versions for rollback capability
-        this.config.addVersionHistory(currentVersion, latestVersion);
       } else {
         this.logger.debug(`${this.commandName} is up to date (${currentVersion})`);
       }
 
       return needsUpdate;
     } catch (error) {
+      // Being offline is expected (planes, trains) and shouldn't get in the way of launching
+      if (error.offline) {
+        this.logger.debug('Skipping update check (registry unreachable):', error.message);
+        this.metadata = { fetchedAt: null, offline: true };
+        return false;
+      }
       this.logger.error('Error checking for updates:', error.message);
+      // A launch goes ahead anyway, but a manual check has to report the failure
+      if (manual) throw error;
       return false;
     }
   }
 
-  async performUpdate() {
+  // semver orders prereleases correctly (0.2.0-preview.1 < 0.2.0), so a preview
+  // install is only replaced by stable once stable catches up. The only downgrade
+  // done here is moving back inside a versionConstraint the install no longer satisfies.
+  isUpdateNeeded(currentVersion, target) {
+    if (!target.version) return false;
+    if (!currentVersion) return true;
+    if (semver.lt(currentVersion, target.version)) return true;
+    return target.constraint !== null &&
+      !semver.satisfies(currentVersion, target.constraint, { includePrerelease: true });
+  }
+
+  // Installs the given version, the version found by checkForUpdate(), or the channel's
+  // dist-tag into the version store and makes it the active version. If the new version
+  // fails its health check the previous version is restored and the new one marked bad.
+  async performUpdate(version = null, { action = 'update' } = {}) {
+    let historyId = null;
+
     try {
-      this.logger.info(`Updating ${this.packageName}...`);
+      const spec = version || this.targetVersion || (await this.resolveTargetVersion()).version;
+      if (!spec) {
+        throw new Error(`No eligible version to install (see: ${this.getCommandPrefix()} status)`);
+      }
+      this.assertVersionAllowed(spec);
+      await this.acquireLock();
+
+      const previousVersion = this.config.getActiveVersion();
+      const fromVersion = await this.getCurrentVersion();
+
+      // Another process may have finished this update while we waited for the lock
+      if (action === 'update' && fromVersion === spec && this.store.has(spec)) {
+        this.logger.debug(`${spec} was installed by another process`);
+        return true;
+      }
+
+      this.logger.info(`Updating ${this.packageName} to ${spec}...`);
+      historyId = this.config.addVersionHistory(fromVersion, spec, { action });
       
-      // Use execSync for synchronous execution to ensure update completes
-      const result = execSync(`npm install -g ${this.packageName}`, {
-        encoding: 'utf8',
-        stdio: 'pipe'
-      });
+      // Installs before returning to ensure the update completes before the tool starts
+      const { output: result, verification } = await this.installVersion(spec);
 
-      this.logger.debug('Update output:', result);
-      this.config.setLastUpdateTime(Date.now());
+      this.logger.debug('Update output:', result || `${spec} already in version store`);
+      this.setActiveVersion(spec);
       
       // Verify the update was successful
       const newVersion = await this.getCurrentVersion();
-      if (newVersion) {
-        this.logger.info(`Successfully updated to version ${newVersion}`);
-        return true;
+      if (newVersion !== spec) {
+        const problem = `found ${newVersion || 'no version'} after switching to ${spec}`;
+        this.restoreVersion(previousVersion, spec);
+        this.config.updateVersionHistory(historyId, { outcome: 'rolled-back', exitCode: 0, error: problem, verification });
+        historyId = null;
+        throw new Error(`Update verification failed (${problem}); restored ${previousVersion || 'previous install'}`);
+      }
+
+      const health = this.runHealthCheck(spec);
+      if (!health.ok) {
+        this.restoreVersion(previousVersion, spec);
+        this.config.markBadVersion(spec, health.error);
+        this.config.updateVersionHistory(historyId, { outcome: 'rolled-back', exitCode: 0, error: health.error, verification });
+        historyId = null;
+        throw new Error(`Health check failed for ${spec} (${health.error}); restored ${previousVersion || 'previous install'}`);
+      }
+
+      this.config.setLastUpdateTime(Date.now());
+      this.config.updateVersionHistory(historyId, { outcome: 'success', exitCode: result === null ? null : 0, verification });
+      this.logger.info(`Successfully updated to version ${newVersion}`);
+      this.pruneVersions([previousVersion]);
+      return true;
+    } catch (error) {
+      if (historyId) {
+        this.config.updateVersionHistory(historyId, this.describeFailure(error));
+      }
+      if (error.code === 'ELOCKED') {
+        this.logger.info(error.message);
       } else {
-        throw new Error('Update verification failed');
+        this.logger.error('Update failed:', error.message);
       }
+      throw error;
+    } finally {
+      this.releaseLock();
+    }
+  }
+
+  // Take the cross-process update lock, waiting briefly (never past the time budget)
+  // for another process to finish. Throws with code ELOCKED if it is still busy.
+  async acquireLock() {
+    const wait = Math.max(Math.min(LOCK_WAIT, this.getRemainingTime()), 0);
+    if (await this.lock.acquire({ wait })) return;
+
+    const holder = this.lock.getHolder();
+    const error = new Error(`Another process${holder ? ` (pid ${holder.pid})` : ''} is updating ${this.packageName}, try again shortly`);
+    error.code = 'ELOCKED';
+    throw error;
+  }
+
+  releaseLock() {
+    this.lock.release();
+  }
+
+  // Limit the total time spent checking and installing from now on; requests and
+  // installs that would run past it are cut short so the current version can launch
+  startTimeBudget(ms = this.config.getNetworkSettings().updateTimeBudget) {
+    this.deadline = Date.now() + ms;
+  }
+
+  getRemainingTime() {
+    return this.deadline ? this.deadline - Date.now() : Infinity;
+  }
+
+  // installTimeout, shortened to whatever is left of the time budget
+  getInstallTimeout() {
+    const remaining = this.getRemainingTime();
+    if (remaining <= 0) {
+      const error = new Error('Update time budget exhausted before install');
+      error.code = 'ETIMEDOUT';
+      throw error;
+    }
+    return Math.min(this.config.getNetworkSettings().installTimeout, remaining);
+  }
+
+  // Download and verify the release tarball, then install it into the version store.
+  // Resolves with { output, verification }; output and verification are null when the
+  // version was already in the store. Errors carry the results so far (error.verification).
+  async installVersion(version) {
+    if (this.store.has(version)) {
+      return { output: null, verification: null };
+    }
+
+    const packument = await this.getPackument();
+    const { tarball, verification } = await this.verifier.verify(this.packageName, packument, version, {
+      timeout: this.getInstallTimeout(),
+      retries: this.config.getNetworkSettings().maxRetries,
+      deadline: this.deadline
+    });
+    this.logger.info(`Verified ${this.packageName}@${version}:`, verification);
+
+    try {
+      this.assertVerified(version, verification);
+      const output = this.store.install(version, { timeout: this.getInstallTimeout(), tarball });
+      return { output, verification };
     } catch (error) {
-      this.logger.error('Update failed:', error.message);
+      error.verification = verification;
       throw error;
     }
   }
 
+  // A tarball without a SHA-512 integrity hash is only installed with allowUnsignedVersions.
+  // Signatures and provenance are checked when available (failures already threw in
+  // PackageVerifier); a registry that doesn't sign, like many internal mirrors, is recorded
+  // in the history as 'missing' or 'unsupported' but doesn't block the install.
+  assertVerified(version, verification) {
+    if (this.config.getSettings().allowUnsignedVersions === true) return;
+
+    if (verification.integrity !== 'verified') {
+      throw new Error(`${this.packageName}@${version} has no SHA-512 integrity hash; set allowUnsignedVersions to install it anyway`);
+    }
+    if (verification.signature !== 'verified') {
+      this.logger.warn(`${this.packageName}@${version} has no registry signature to check (${verification.signature})`);
+    }
+  }
+
+  // History fields for a failed install; npm failures carry the exit code and stderr
+  describeFailure(error) {
+    const stderr = error.stderr ? String(error.stderr).trim() : '';
+    const npmError = stderr.split('\n').filter(line => /npm (ERR!|error)/.test(line)).slice(0, 3).join('\n');
+
+    return {
+      outcome: 'failed',
+      exitCode: typeof error.status === 'number' ? error.status : null,
+      error: npmError || error.message.split('\n')[0],
+      verification: error.verification || null
+    };
+  }
+
+  runHealthCheck(version) {
+    const settings = this.config.getSettings();
+    if (settings.healthCheck === false) {
+      return { ok: true };
+    }
+
+    return this.healthCheck.run(this.store.getBinPath(version), version, {
+      command: settings.healthCheckCommand,
+      timeout: settings.healthCheckTimeout
+    });
+  }
+
+  // Reactivate the version that was active before a failed update and drop the bad one
+  restoreVersion(previousVersion, failedVersion) {
+    const restored = previousVersion && this.store.has(previousVersion) ? previousVersion : null;
+    this.setActiveVersion(restored);
+    this.store.remove(failedVersion);
+    this.logger.warn(`Restored ${restored || 'global install'} after failed update to ${failedVersion}`);
+  }
+
+  assertVersionAllowed(version) {
+    const violation = this.getPolicyViolation(version);
+    if (violation) {
+      throw new Error(violation);
+    }
+
+    if (this.config.isBadVersion(version)) {
+      const { reason } = this.config.getBadVersions()[version];
+      throw new Error(`${version} failed a previous health check (${reason}). Allow it with: ${this.getCommandPrefix()} allow ${version}`);
+    }
+  }
+
+  // Active version from the version store, falling back to a global npm install
   async getCurrentVersion() {
+    const activeVersion = this.config.getActiveVersion();
+    if (activeVersion && this.store.has(activeVersion)) {
+      return activeVersion;
+    }
+
     try {
-      // Try to get version from the installed package
-      const result = execSync(`${this.commandName} --version`, { 
-        encoding: 'utf8', 
-        stdio: 'pipe',
-        timeout: 5000
-      });
-      
-      // Extract version number from output
-      const versionMatch = result.match(/(\d+\.\d+\.\d+)/);
-      return versionMatch ? versionMatch[1] : null;
+      const packageJson = JSON.parse(fs.readFileSync(path.join(this.getGlobalPackageDir(), 'package.json'), 'utf8'));
+      return packageJson.version || null;
     } catch (error) {
-      // If command fails, package might not be installed
+      // If the package can't be read, it might not be installed
       this.logger.debug(`Could not get current version: ${error.message}`);
       return null;
     }
   }
 
-  async getLatestVersion() {
-    return new Promise((resolve, reject) => {
-      const url = `https://registry.npmjs.org/${this.packageName}/latest`;
-      
-      const req = https.get(url, { timeout: 10000 }, (res) => {
-        let data = '';
-        
-        // Check for HTTP errors
-        if (res.statusCode >= 400) {
-          reject(new Error(`Package not found: HTTP ${res.statusCode}`));
-          return;
+  // Package manager that owns the global install (or the packageManager setting)
+  getPackageManager() {
+    if (!this.packageManager) {
+      this.packageManager = PackageManager.detect(this.packageName, this.config.getSettings().packageManager);
+      this.logger.debug(`Using package manager: ${this.packageManager.name}`);
+    }
+    return this.packageManager;
+  }
+
+  getGlobalPackageDir() {
+    return this.getPackageManager().getGlobalPackageDir(this.packageName);
+  }
+
+  // Entry point to launch: a specific store version, the active version, or the global install.
+  // Results are cached across launches, see BinaryCache.
+  resolveBinPath(version = null) {
+    const activeVersion = this.config.getActiveVersion();
+    const storeVersion = version || (activeVersion && this.store.has(activeVersion) ? activeVersion : null);
+    const target = storeVersion
+      ? `store:${this.packageName}@${storeVersion}`
+      : `global:${this.packageName}:${this.config.getSettings().packageManager}`;
+
+    const cached = this.binaryCache.get(target);
+    if (cached) {
+      return cached;
+    }
+
+    const binPath = storeVersion ? this.store.getBinPath(storeVersion) : this.resolveGlobalBinPath();
+    this.binaryCache.set(target, binPath);
+    return binPath;
+  }
+
+  resolveGlobalBinPath() {
+    const packageDir = this.getGlobalPackageDir();
+    const packageJsonPath = path.join(packageDir, 'package.json');
+    if (!fs.existsSync(packageJsonPath)) {
+      throw new Error('Package not found in version store or global modules');
+    }
+
+    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+    const bin = VersionStore.getBinEntry(packageJson, this.commandName);
+    if (!bin) {
+      throw new Error(`${this.packageName} does not provide a "${this.commandName}" binary`);
+    }
+    return path.join(packageDir, bin);
+  }
+
+  // Switch the active version; cached binary paths are dropped so the next launch re-resolves
+  setActiveVersion(version) {
+    this.config.setActiveVersion(version);
+    this.binaryCache.clear();
+  }
+
+  // Make an installed (or newly installed) store version the active one
+  async useVersion(version, { action = 'use' } = {}) {
+    if (!semver.valid(version)) {
+      throw new Error(`Invalid version: ${version}`);
+    }
+
+    this.assertVersionAllowed(version);
+    await this.acquireLock();
+
+    try {
+      const previousVersion = this.config.getActiveVersion();
+      const fromVersion = await this.getCurrentVersion();
+      const historyId = this.config.addVersionHistory(fromVersion, version, { action });
+      let result;
+
+      try {
+        if (!this.store.has(version)) {
+          this.logger.info(`Installing ${this.packageName}@${version} into version store`);
         }
-        
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          try {
-            const packageInfo = JSON.parse(data);
-            if (!packageInfo.version) {
-              reject(new Error('Package version not found in registry response'));
-              return;
-            }
-            resolve(packageInfo.version);
-          } catch (error) {
-            reject(new Error('Failed to parse npm registry response'));
-          }
-        });
-      });
+        result = await this.installVersion(version);
+      } catch (error) {
+        this.config.updateVersionHistory(historyId, this.describeFailure(error));
+        throw error;
+      }
 
-      req.on('error', (error) => {
-        reject(new Error(`Failed to fetch latest version: ${error.message}`));
+      this.setActiveVersion(version);
+      this.config.updateVersionHistory(historyId, {
+        outcome: 'success',
+        exitCode: result.output === null ? null : 0,
+        verification: result.verification
       });
+      this.logger.info(`Now using ${this.packageName}@${version}`);
+      this.pruneVersions([previousVersion]);
+      return version;
+    } finally {
+      this.releaseLock();
+    }
+  }
 
-      req.on('timeout', () => {
-        req.destroy();
-        reject(new Error('Request timeout while fetching latest version'));
-      });
+  // Keep at most maxVersionHistory versions in the store; the active version and
+  // any versions in `protect` are never removed
+  pruneVersions(protect = []) {
+    const keep = this.config.getMaxVersionHistory();
+    const protectedVersions = [this.config.getActiveVersion(), ...protect].filter(Boolean);
+    const removed = this.store.prune(keep, [...new Set(protectedVersions)]);
+
+    if (removed.length > 0) {
+      this.logger.info(`Pruned versions from store: ${removed.join(', ')}`);
+    }
+    return removed;
+  }
+
+  // Channel from settings, e.g. stable, preview, nightly or a custom dist-tag
+  getChannel() {
+    return this.config.getSettings().channel || 'stable';
+  }
+
+  getDistTag(channel = this.getChannel()) {
+    return CHANNEL_TAGS[channel] || channel;
+  }
+
+  // Resolve the version to install: the highest published version that is not newer
+  // than the channel's dist-tag version, satisfies versionConstraint, and isn't skipped
+  // (too recently published, denylisted, or failed a health check).
+  // Returns { version, latest, constraint, heldBack, skipped }; version is null when
+  // every candidate was skipped, and skipped lists [{ version, reason }] newest first.
+  async resolveTargetVersion(channel = this.getChannel()) {
+    const packument = await this.getPackument();
+    const distTag = this.getDistTag(channel);
+    const latest = (packument['dist-tags'] || {})[distTag];
+    const constraint = this.config.getVersionConstraint();
+
+    if (!latest) {
+      throw new Error(`No version published under dist-tag "${distTag}" (channel: ${channel})`);
+    }
+
+    // Prereleases are only candidates when the channel itself follows a prerelease
+    const includePrerelease = semver.prerelease(latest) !== null;
+    const candidates = semver.rsort(Object.keys(packument.versions || {})
+      .filter(version => semver.valid(version) && semver.lte(version, latest))
+      .filter(version => includePrerelease || semver.prerelease(version) === null)
+      .filter(version => !constraint || semver.satisfies(version, constraint, { includePrerelease })));
+
+    if (candidates.length === 0) {
+      throw new Error(`No published version satisfies versionConstraint ${constraint}`);
+    }
+
+    const denylist = await this.denylist.load(this.config.getSettings(), {
+      timeout: this.config.getNetworkSettings().checkTimeout,
+      deadline: this.deadline
     });
+    const skipped = [];
+    let version = null;
+
+    for (const candidate of candidates) {
+      const reason = this.getSkipReason(candidate, packument, denylist);
+      if (!reason) {
+        version = candidate;
+        break;
+      }
+      skipped.push({ version: candidate, reason });
+    }
+
+    const heldBack = constraint !== null && !semver.satisfies(latest, constraint, { includePrerelease });
+    return { version, latest, constraint, heldBack, skipped };
+  }
+
+  // Why `version` must not be installed automatically, or null if it may be
+  getSkipReason(version, packument, denylist) {
+    const policy = this.config.getPolicy();
+    if (policy.maxVersion && semver.gt(version, policy.maxVersion)) {
+      return `above maxVersion ${policy.maxVersion} set by policy ${policy.file}`;
+    }
+    if (policy.minVersion && semver.lt(version, policy.minVersion)) {
+      return `below minVersion ${policy.minVersion} set by policy ${policy.file}`;
+    }
+
+    if (this.config.isBadVersion(version)) {
+      return `failed a previous health check (allow it with: ${this.getCommandPrefix()} allow ${version})`;
+    }
+
+    const denied = Denylist.match(denylist, version);
+    if (denied) {
+      return `listed in the ${denied.source}${denied.reason ? `: ${denied.reason}` : ''}`;
+    }
+
+    const minAgeHours = this.config.getMinReleaseAgeHours();
+    const publishedAt = packument.time && Date.parse(packument.time[version]);
+    if (minAgeHours > 0 && publishedAt) {
+      const ageHours = (Date.now() - publishedAt) / (60 * 60 * 1000);
+      if (ageHours < minAgeHours) {
+        return `published ${ageHours.toFixed(1)}h ago, minReleaseAgeHours is ${minAgeHours}`;
+      }
+    }
+    return null;
+  }
+
+  // Fetch the registry document (dist-tags, versions, publish times) for the package
+  // from the registry configured in the user's .npmrc. Responses are cached on disk and
+  // revalidated with If-None-Match/If-Modified-Since; when the registry is unreachable
+  // the cached copy is returned and this.metadata.offline is set.
+  async getPackument() {
+    const url = this.npmConfig.getPackumentUrl(this.packageName);
+    const cached = this.registryCache.get(url);
+    const headers = {};
+    if (cached && cached.etag) headers['if-none-match'] = cached.etag;
+    if (cached && cached.lastModified) headers['if-modified-since'] = cached.lastModified;
+
+    let entry;
+    try {
+      const { checkTimeout, maxRetries } = this.config.getNetworkSettings();
+      const res = await this.registry.fetchJson(url, {
+        headers,
+        timeout: checkTimeout,
+        retries: maxRetries,
+        deadline: this.deadline
+      });
+      if (res.statusCode === 304 && cached) {
+        this.logger.debug('Registry metadata not modified, using cache');
+        entry = this.registryCache.set(url, cached);
+      } else {
+        entry = this.registryCache.set(url, {
+          etag: res.headers.etag,
+          lastModified: res.headers['last-modified'],
+          body: RegistryCache.trimPackument(res.data)
+        });
+      }
+      this.metadata = { fetchedAt: entry.fetchedAt, offline: false };
+    } catch (error) {
+      if (!error.offline || !cached) throw error;
+
+      this.logger.debug('Registry unreachable, using cached metadata:', error.message);
+      entry = cached;
+      this.metadata = { fetchedAt: cached.fetchedAt, offline: true };
+    }
+
+    if (!entry.body['dist-tags']) {
+      throw new Error('Package dist-tags not found in registry response');
+    }
+    return entry.body;
+  }
+
+  // npm config overrides that point the package (and its scope) at the policy's registry
+  getRegistryOverrides() {
+    const { registry } = this.config.getPolicy();
+    if (!registry) return {};
+
+    const overrides = { registry };
+    if (this.packageName.startsWith('@')) {
+      overrides[`${this.packageName.split('/')[0]}:registry`] = registry;
+    }
+    return overrides;
+  }
+
+  // Policy problem that must be fixed before `version` may run: an invalid policy file
+  // or a version outside its min/max range. Returns a message, or null.
+  getPolicyViolation(version) {
+    const policy = this.config.getPolicy();
+    if (this.config.policyError) {
+      return this.config.policyError.message;
+    }
+    const violation = version && policy.getViolation(version);
+    return violation ? `${violation}${policy.message ? ` (${policy.message})` : ''}` : null;
+  }
+
+  // Whether the last registry request found the registry unreachable
+  isOffline() {
+    return Boolean(this.metadata && this.metadata.offline);
+  }
+
+  // Switch release channel. Moving to an older version (e.g. preview -> stable)
+  // only installs when allowDowngrade is set, otherwise the current install is kept
+  // until the new channel catches up. Returns { channel, version, action }.
+  async switchChannel(channel, allowDowngrade = false) {
+    const { version: targetVersion, skipped } = await this.resolveTargetVersion(channel);
+    if (!targetVersion) {
+      throw new Error(`No eligible version on channel ${channel}: ${skipped[0].version} ${skipped[0].reason}`);
+    }
+    const currentVersion = await this.getCurrentVersion();
+
+    this.config.updateSettings({ channel });
+    this.logger.info(`Switched channel to ${channel} (${this.getDistTag(channel)} -> ${targetVersion})`);
+
+    let action = 'none';
+    if (!currentVersion || semver.lt(currentVersion, targetVersion)) {
+      action = 'upgrade';
+    } else if (semver.gt(currentVersion, targetVersion)) {
+      action = allowDowngrade ? 'downgrade' : 'held';
+    }
+
+    if (action === 'upgrade' || action === 'downgrade') {
+      await this.performUpdate(targetVersion, { action: 'channel' });
+    }
+
+    return { channel, version: targetVersion, currentVersion, action };
+  }
+
+  // Whether an automatic (non-manual) check would run right now
+  isCheckDue() {
+    return this.config.getUpdateMode() !== 'off' && !this.isWithinCooldown();
   }
 
   isWithinCooldown() {
     const lastCheck = this.config.getLastUpdateCheck();
     if (!lastCheck) return false;
     
-    return (Date.now() - lastCheck) < this.updateCooldown;
+    return (Date.now() - lastCheck) < this.config.getUpdateCooldown();
   }
 
-  async rollbackToPreviousVersion() {
+  async rollbackToPreviousVersion(targetVersion = null) {
     try {
-      const versionHistory = this.config.getVersionHistory();
-      if (versionHistory.length < 2) {
-        throw new Error('No previous version available for rollback');
+      let version = targetVersion;
+
+      if (!version) {
+        version = this.getRollbackTarget(await this.getCurrentVersion());
+        if (!version) {
+          throw new Error('No previous version available for rollback');
+        }
+      } else if (!semver.valid(version)) {
+        throw new Error(`Invalid version: ${version}`);
       }
 
-      const previousVersion = versionHistory[versionHistory.length - 2];
-      this.logger.info(`Rolling back to version ${previousVersion.from}`);
-      
-      const result = execSync(`npm install -g ${this.packageName}@${previousVersion.from}`, {
-        encoding: 'utf8',
-        stdio: 'pipe'
-      });
+      this.logger.info(`Rolling back to version ${version}`);
 
-      this.logger.info(`Successfully rolled back to ${previousVersion.from}`);
-      return true;
+      // Instant and offline when the version is still in the store
+      await this.useVersion(version, { action: 'rollback' });
+
+      this.logger.info(`Successfully rolled back to ${version}`);
+      return version;
     } catch (error) {
       this.logger.error('Rollback failed:', error.message);
       throw error;
     }
   }
 
+  // The version that was active before the current one, taken from the most recent
+  // successful non-rollback transaction that installed the current version, so repeated
+  // rollbacks keep walking back. Falls back to the most recent other version that was
+  // successfully activated.
+  getRollbackTarget(currentVersion) {
+    const successful = this.config.getVersionHistory()
+      .filter(entry => entry.outcome === 'success')
+      .reverse();
+    const usable = version => version && version !== currentVersion &&
+      semver.valid(version) && !this.config.isBadVersion(version);
+
+    const transaction = successful.find(entry =>
+      entry.action !== 'rollback' && entry.to === currentVersion && usable(entry.from));
+    if (transaction) return transaction.from;
+
+    const fallback = successful.find(entry => usable(entry.to));
+    return fallback ? fallback.to : null;
+  }
+
   // Force update (bypass cooldown)
   async forceUpdate() {
-    this.config.setLastUpdateCheck(0); // Reset cooldown
-    return await this.checkForUpdate() && await this.performUpdate();
+    return await this.checkForUpdate({ manual: true }) && await this.performUpdate();
   }
 }
 
+Updater.CHANNEL_TAGS = CHANNEL_TAGS;
+
 module.exports = Updater;
\ No newline at end of file
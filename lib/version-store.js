@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const semver = require('semver');
+
+// Side-by-side installs under ~/.gemini-cli-updater/versions/<tool>/<version>, each a
+// self-contained npm prefix, so switching versions never touches the network
+class VersionStore {
+  // `tool` is a tool definition ({ name, package, bin }); getPackageManager returns the
+  // PackageManager used to install into the store; npmConfig carries the user's
+  // registry, auth and proxy settings into each install
+  constructor(tool, getPackageManager, npmConfig = null) {
+    this.packageName = tool.package;
+    this.commandName = tool.bin;
+    this.getPackageManager = getPackageManager;
+    this.npmConfig = npmConfig;
+    this.rootDir = path.join(os.homedir(), '.gemini-cli-updater', 'versions');
+    this.baseDir = path.join(this.rootDir, tool.name);
+
+    if (tool.name === 'gemini') {
+      this.moveLegacyVersions();
+    }
+  }
+
+  // Gemini CLI versions used to live directly in versions/; move them into versions/gemini
+  // (a rename, so nothing is reinstalled). Only looks once versions/gemini is missing.
+  moveLegacyVersions() {
+    try {
+      if (fs.existsSync(this.baseDir) || !fs.existsSync(this.rootDir)) return;
+
+      const legacy = fs.readdirSync(this.rootDir).filter(entry => semver.valid(entry));
+      if (legacy.length === 0) return;
+
+      fs.mkdirSync(this.baseDir, { recursive: true });
+      for (const version of legacy) {
+        fs.renameSync(path.join(this.rootDir, version), this.getVersionDir(version));
+      }
+    } catch (error) {
+      // Left in place; those versions are reinstalled when needed
+    }
+  }
+
+  getVersionDir(version) {
+    return path.join(this.baseDir, version);
+  }
+
+  getPackageDir(version) {
+    return path.join(this.getVersionDir(version), 'node_modules', ...this.packageName.split('/'));
+  }
+
+  has(version) {
+    return fs.existsSync(path.join(this.getPackageDir(version), 'package.json'));
+  }
+
+  // Installed versions, newest first
+  list() {
+    try {
+      if (!fs.existsSync(this.baseDir)) return [];
+
+      const versions = fs.readdirSync(this.baseDir)
+        .filter(entry => semver.valid(entry) && this.has(entry));
+      return semver.rsort(versions);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Install into a temporary prefix first and rename it into place, so an
+  // interrupted install never leaves a half-populated version directory behind.
+  // Returns npm's output, or null when the version was already in the store.
+  // `timeout` (ms) bounds the package manager run. `tarball` is an already downloaded
+  // (and verified) package tarball to install instead of fetching `name@version`.
+  install(version, { timeout, tarball = null } = {}) {
+    if (this.has(version)) return null;
+
+    fs.mkdirSync(this.baseDir, { recursive: true });
+    const tempDir = path.join(this.baseDir, `.tmp-${version}-${process.pid}`);
+    const tarballPath = `${tempDir}.tgz`;
+    const versionDir = this.getVersionDir(version);
+
+    try {
+      fs.mkdirSync(tempDir, { recursive: true });
+
+      // Package managers read .npmrc from the install directory, not the user's cwd, so
+      // carry over the registry settings (the file holds credentials and is removed below)
+      const npmrcPath = path.join(tempDir, '.npmrc');
+      if (this.npmConfig) {
+        fs.writeFileSync(npmrcPath, this.npmConfig.toNpmrc(this.packageName), { mode: 0o600 });
+      }
+
+      let spec = `${this.packageName}@${version}`;
+      if (tarball) {
+        fs.writeFileSync(tarballPath, tarball);
+        spec = `"${tarballPath}"`;
+      }
+
+      const output = this.getPackageManager().installPrefix(tempDir, spec, { timeout });
+      fs.rmSync(npmrcPath, { force: true });
+
+      const installed = this.readPackageJson(path.join(tempDir, 'node_modules', ...this.packageName.split('/')));
+      if (installed.version !== version) {
+        throw new Error(`Expected ${version} but npm installed ${installed.version}`);
+      }
+
+      fs.rmSync(versionDir, { recursive: true, force: true });
+      fs.renameSync(tempDir, versionDir);
+      return output;
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      fs.rmSync(tarballPath, { force: true });
+    }
+  }
+
+  remove(version) {
+    fs.rmSync(this.getVersionDir(version), { recursive: true, force: true });
+  }
+
+  // The package's entry point for `commandName`. A tool's command may be named differently
+  // from the package's own bin (`tools add --bin`), so a package with a single bin uses it.
+  static getBinEntry(packageJson, commandName) {
+    const bins = packageJson.bin || {};
+    if (typeof bins === 'string') return bins;
+
+    const names = Object.keys(bins);
+    return bins[commandName] || (names.length === 1 ? bins[names[0]] : null);
+  }
+
+  // Path of the JavaScript entry point for the command in an installed version
+  getBinPath(version) {
+    const packageDir = this.getPackageDir(version);
+    const packageJson = this.readPackageJson(packageDir);
+    const bin = VersionStore.getBinEntry(packageJson, this.commandName);
+
+    if (!bin) {
+      throw new Error(`${this.packageName}@${version} does not provide a "${this.commandName}" binary`);
+    }
+    return path.join(packageDir, bin);
+  }
+
+  // Remove the oldest versions beyond `keep`, never touching the ones in `protect`.
+  // Returns the removed versions.
+  prune(keep, protect = []) {
+    const removable = this.list().filter(version => !protect.includes(version));
+    const slots = Math.max(keep - protect.filter(version => this.has(version)).length, 0);
+    const removed = removable.slice(slots);
+
+    removed.forEach(version => this.remove(version));
+    return removed;
+  }
+
+  readPackageJson(packageDir) {
+    return JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+  }
+}
+
+module.exports = VersionStore;
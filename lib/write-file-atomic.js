@@ -0,0 +1,17 @@
+const fs = require('fs');
+
+// Write `data` to a temporary file next to `file` and rename it into place, so
+// concurrent readers see either the old or the new contents, never a partial write
+function writeFileAtomic(file, data, options = {}) {
+  const tempFile = `${file}.${process.pid}.tmp`;
+
+  try {
+    fs.writeFileSync(tempFile, data, options);
+    fs.renameSync(tempFile, file);
+  } catch (error) {
+    fs.rmSync(tempFile, { force: true });
+    throw error;
+  }
+}
+
+module.exports = writeFileAtomic;
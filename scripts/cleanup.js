@@ -9,11 +9,41 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const chalk = require('chalk');
+const ShellDetector = require('../lib/shell-detector');
+const Config = require('../lib/config');
 
 class CompleteCleanup {
   constructor() {
     this.homeDir = require('os').homedir();
     this.platform = require('os').platform();
+    this.shellDetector = new ShellDetector();
+    this.bins = this.getToolBins();
+  }
+
+  // The gemini wrapper plus one for every tool added with `updater tools add`
+  getToolBins() {
+    const bins = ['gemini'];
+    // Config creates config.json when it's missing, so only read it when there is one
+    if (fs.existsSync(path.join(this.homeDir, '.gemini-cli-updater', 'config.json'))) {
+      try {
+        bins.push(...Object.values(new Config().getTools()).map(tool => tool.bin));
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Could not read managed tools, only cleaning gemini: ${error.message}`));
+      }
+    }
+    return [...new Set(bins)];
+  }
+
+  // Every place a wrapper for `name` may have been installed
+  getBinaryPaths(name) {
+    return [
+      // Node.js global bin paths
+      path.join(this.homeDir, `.nvm/versions/node/*/bin/${name}`),
+      // npm global paths
+      `/usr/local/bin/${name}`,
+      // Windows paths
+      path.join(this.homeDir, `AppData/Roaming/npm/${name}.cmd`)
+    ];
   }
 
   async cleanup() {
@@ -59,17 +89,7 @@ class CompleteCleanup {
   async removeBinaries() {
     console.log(chalk.blue('🗑️  Removing binary files...'));
     
-    const possiblePaths = [
-      // Node.js global bin paths
-      path.join(this.homeDir, '.nvm/versions/node/*/bin/gemini'),
-      path.join(this.homeDir, '.nvm/versions/node/*/bin/gemini-cli-updater'),
-      // npm global paths
-      '/usr/local/bin/gemini',
-      '/usr/local/bin/gemini-cli-updater',
-      // Windows paths
-      path.join(this.homeDir, 'AppData/Roaming/npm/gemini.cmd'),
-      path.join(this.homeDir, 'AppData/Roaming/npm/gemini-cli-updater.cmd'),
-    ];
+    const possiblePaths = [...this.bins, 'gemini-cli-updater'].flatMap(name => this.getBinaryPaths(name));
 
     for (const binaryPath of possiblePaths) {
       if (binaryPath.includes('*')) {
@@ -81,7 +101,7 @@ class CompleteCleanup {
             for (const version of versions) {
               const fullPath = binaryPath.replace('*', version);
               if (fs.existsSync(fullPath)) {
-                // Only remove if it's our wrapper, not the real gemini CLI
+                // Only remove if it's our wrapper, not the real tool
                 const content = fs.readFileSync(fullPath, 'utf8');
                 if (content.includes('gemini-cli-updater') || content.includes('GeminiUpdaterCLI')) {
                   fs.unlinkSync(fullPath);
@@ -96,7 +116,7 @@ class CompleteCleanup {
       } else {
         if (fs.existsSync(binaryPath)) {
           try {
-            // Only remove if it's our wrapper, not the real gemini CLI
+            // Only remove if it's our wrapper, not the real tool
             const content = fs.readFileSync(binaryPath, 'utf8');
             if (content.includes('gemini-cli-updater') || content.includes('GeminiUpdaterCLI')) {
               fs.unlinkSync(binaryPath);
@@ -112,7 +132,20 @@ class CompleteCleanup {
 
   async removeAliases() {
     console.log(chalk.blue('🔧 Removing shell aliases...'));
-    
+
+    // Aliases for every managed tool, removed the same way the uninstaller does
+    for (const { shell, file } of this.shellDetector.getAllShellConfigFiles()) {
+      try {
+        const removed = this.bins.filter(name => this.shellDetector.removeAlias(name, shell));
+        if (removed.length > 0) {
+          console.log(chalk.green(`✅ Removed ${removed.join(', ')} alias(es) from: ${file}`));
+        }
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Could not remove aliases from: ${file} (${error.message})`));
+      }
+    }
+
+    // Then sweep up anything else we left behind
     const shellFiles = [
       path.join(this.homeDir, '.bashrc'),
       path.join(this.homeDir, '.bash_profile'),
@@ -155,6 +188,7 @@ class CompleteCleanup {
           if (fs.existsSync(profilePath)) {
             let content = fs.readFileSync(profilePath, 'utf8');
             if (content.includes('gemini-cli-updater')) {
+              content = content.replace(/function \S+ \{.*gemini-cli-updater.*\r?\n/g, '');
               content = content.replace(/function gemini.*\r?\n/g, '');
               content = content.replace(/# Added by gemini-cli-updater.*\r?\n/g, '');
               fs.writeFileSync(profilePath, content);
@@ -208,12 +242,9 @@ class CompleteCleanup {
         }
       },
       
-      // Check for binary files (only our wrapper, not real gemini)
+      // Check for binary files (only our wrappers, not the real tools)
       () => {
-        const binaries = [
-          path.join(this.homeDir, '.nvm/versions/node/*/bin/gemini'),
-          '/usr/local/bin/gemini'
-        ];
+        const binaries = this.bins.flatMap(name => this.getBinaryPaths(name).slice(0, 2));
         
         for (const binary of binaries) {
           if (binary.includes('*')) {
@@ -291,6 +322,10 @@ class CompleteCleanup {
     console.log(chalk.white('\n2. Remove wrapper binary files (keep real @google/gemini-cli):'));
     console.log(chalk.gray('   Check ~/.nvm/versions/node/*/bin/gemini and remove if it contains "gemini-cli-updater"'));
     console.log(chalk.gray('   rm -f ~/.nvm/versions/node/*/bin/gemini-cli-updater'));
+    const otherBins = this.bins.filter(name => name !== 'gemini');
+    if (otherBins.length > 0) {
+      console.log(chalk.gray(`   Do the same for the wrappers of other managed tools: ${otherBins.join(', ')}`));
+    }
     
     console.log(chalk.white('\n3. Remove aliases from shell config files:'));
     console.log(chalk.gray('   Edit ~/.bashrc, ~/.bash_profile, ~/.zshrc'));
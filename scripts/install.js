@@ -4,6 +4,9 @@ const chalk = require('chalk');
 const ShellDetector = require('../lib/shell-detector');
 const Logger = require('../lib/logger');
 const Config = require('../lib/config');
+const Commands = require('../lib/commands');
+const Doctor = require('../lib/doctor');
+const Updater = require('../lib/updater');
 
 class Installer {
   constructor() {
@@ -71,6 +74,13 @@ class Installer {
         console.log(chalk.yellow('⚠️  Alias already exists or could not be added'));
       }
 
+      // Tools added with `gemini updater tools add` keep their aliases across reinstalls
+      for (const tool of Object.values(this.config.getTools()).filter(tool => tool.source === 'user')) {
+        if (this.shellDetector.addAlias(tool.bin, `${targetCommand} ${Commands.TOOL_FLAG}${tool.name}`)) {
+          console.log(chalk.green(`✅ Restored alias for ${tool.displayName}: ${tool.bin}`));
+        }
+      }
+
       // Also try to set up for other shells if they exist
       const allShells = this.shellDetector.getAllShellConfigFiles();
       if (allShells.length > 1) {
@@ -112,20 +122,12 @@ class Installer {
     console.log(chalk.gray('  PowerShell: $PROFILE'));
   }
 
-  // Check if installation is valid
-  validateInstallation() {
+  // Check if installation is valid; runs the same checks as `gemini updater doctor`
+  async validateInstallation() {
     try {
-      // Check if config exists
-      const configExists = this.config.getConfigPath();
-      
-      // Check if alias exists
-      const aliasExists = this.shellDetector.checkAliasExists('gemini');
-      
       console.log(chalk.blue('🔍 Validating installation...'));
-      console.log(chalk.white(`Config file: ${configExists ? '✅' : '❌'}`));
-      console.log(chalk.white(`Shell alias: ${aliasExists ? '✅' : '❌'}`));
-      
-      return configExists && aliasExists;
+      const doctor = new Doctor(new Updater(this.config.getTool()), this.logger);
+      return (await doctor.run()) === 0;
     } catch (error) {
       console.log(chalk.red('❌ Validation failed:'), error.message);
       return false;
@@ -147,7 +149,9 @@ if (require.main === module) {
   const args = process.argv.slice(2);
   
   if (args.includes('--validate')) {
-    installer.validateInstallation();
+    installer.validateInstallation().then(valid => {
+      process.exitCode = valid ? 0 : 1;
+    });
   } else if (args.includes('--repair')) {
     installer.repair();
   } else {
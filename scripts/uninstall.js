@@ -51,10 +51,13 @@ class Uninstaller {
       }
 
       let removedCount = 0;
+
+      // The gemini alias plus one for every tool added with `updater tools add`
+      const aliasNames = [...new Set(Object.values(this.config.getTools()).map(tool => tool.bin))];
       
       for (const { shell, file } of allShells) {
         try {
-          const removed = this.shellDetector.removeAlias('gemini', shell);
+          const removed = aliasNames.filter(name => this.shellDetector.removeAlias(name, shell)).length > 0;
           if (removed) {
             console.log(chalk.green(`✅ Removed alias from ${shell}: ${file}`));
             removedCount++;
@@ -132,13 +135,37 @@ class Uninstaller {
         fs.unlinkSync(configPath);
         console.log(chalk.green('✅ Removed config file'));
       }
+
+      // Remove pre-migration and corrupt config backups
+      const backups = fs.existsSync(configDir)
+        ? fs.readdirSync(configDir).filter(file => /^config\.json\.(v\d+\.bak|corrupt-\d+)$/.test(file))
+        : [];
+      for (const file of backups) {
+        fs.unlinkSync(path.join(configDir, file));
+      }
       
       // Remove log file
       if (fs.existsSync(logPath)) {
         fs.unlinkSync(logPath);
         console.log(chalk.green('✅ Removed log file'));
       }
-      
+
+      // Remove the versions of every managed tool installed by the version store
+      const versionsDir = path.join(configDir, 'versions');
+      if (fs.existsSync(versionsDir)) {
+        fs.rmSync(versionsDir, { recursive: true, force: true });
+        console.log(chalk.green('✅ Removed version store'));
+      }
+
+      // Remove registry metadata and binary path caches
+      const cacheDir = path.join(configDir, 'cache');
+      const binCache = path.join(configDir, 'bin-cache.json');
+      if (fs.existsSync(cacheDir) || fs.existsSync(binCache)) {
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+        fs.rmSync(binCache, { force: true });
+        console.log(chalk.green('✅ Removed caches'));
+      }
+
       // Remove config directory if empty
       try {
         const files = fs.readdirSync(configDir);
@@ -185,7 +212,7 @@ class Uninstaller {
     
     console.log(chalk.cyan('\nShell aliases to check:'));
     for (const { shell, file } of allShells) {
-      const exists = this.shellDetector.checkAliasExists('gemini', shell);
+      const exists = Object.values(this.config.getTools()).some(tool => this.shellDetector.checkAliasExists(tool.bin, shell));
       console.log(chalk.white(`  ${shell}: ${file} ${exists ? '✅' : '❌'}`));
     }
     
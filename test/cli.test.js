@@ -0,0 +1,96 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Config, logs and the policy file live in a scratch home directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'gemini-cli-updater-cli-'));
+process.env.HOME = home;
+for (const name of Object.keys(process.env)) {
+  if (name.startsWith('GEMINI_UPDATER_')) delete process.env[name];
+}
+const policyFile = path.join(home, 'policy.json');
+process.env.GEMINI_UPDATER_POLICY = policyFile;
+
+const GeminiUpdaterCLI = require('../bin/gemini-cli-updater');
+const Commands = require('../lib/commands');
+
+// A quiet CLI for a project pinning `version`, whose version store holds `installed`
+function createCLI(version, installed = []) {
+  const cli = new GeminiUpdaterCLI(['node', 'gemini', '--updater-quiet']);
+  cli.projectVersion = { version, source: '/src/app/.gemini-version' };
+  cli.installed = [];
+  cli.updater.store = { has: candidate => installed.includes(candidate) };
+  cli.updater.installVersion = async candidate => {
+    cli.installed.push(candidate);
+    return { output: null, verification: null };
+  };
+  return cli;
+}
+
+beforeEach(() => {
+  fs.rmSync(path.join(home, '.gemini-cli-updater'), { recursive: true, force: true });
+  fs.rmSync(policyFile, { force: true });
+});
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('ensureProjectVersion: installs a pinned version missing from the store', async () => {
+  const cli = createCLI('1.2.0');
+  await cli.ensureProjectVersion();
+
+  assert.deepStrictEqual(cli.installed, ['1.2.0']);
+});
+
+test('ensureProjectVersion: refuses a pin outside the policy bounds before installing', async () => {
+  fs.writeFileSync(policyFile, JSON.stringify({ maxVersion: '1.5.0' }));
+  const cli = createCLI('2.0.0');
+
+  await assert.rejects(cli.ensureProjectVersion(),
+    /Gemini CLI 2\.0\.0 is pinned by \/src\/app\/\.gemini-version but can't be used: .*newer than the maximum version 1\.5\.0/);
+  assert.deepStrictEqual(cli.installed, []);
+});
+
+test('ensureProjectVersion: refuses a pin that failed a health check, even when installed', async () => {
+  const cli = createCLI('1.2.0', ['1.2.0']);
+  cli.updater.config.markBadVersion('1.2.0', '--version failed: exit code 1');
+
+  await assert.rejects(cli.ensureProjectVersion(), /1\.2\.0 failed a previous health check \(--version failed: exit code 1\)/);
+});
+
+// Tool lookup for resolveTool: gemini plus a registered claude
+const TOOLS = {
+  gemini: { name: 'gemini', bin: 'gemini' },
+  claude: { name: 'claude', bin: 'claude' }
+};
+const tools = {
+  getTool: name => TOOLS[name] || null,
+  findToolByBin: bin => Object.values(TOOLS).find(tool => tool.bin === bin) || null
+};
+
+test('getCommandArgs: finds `updater` after wrapper flags and overrides', () => {
+  assert.deepStrictEqual(Commands.getCommandArgs(['--updater-quiet', 'updater', 'status']), ['status']);
+  assert.deepStrictEqual(Commands.getCommandArgs(['--skip-update', 'updater', 'check', '--json']), ['check', '--json']);
+  assert.deepStrictEqual(Commands.getCommandArgs(['--trace-startup', '--updater-channel=preview', 'updater']), []);
+  assert.strictEqual(Commands.getCommandArgs(['--skip-update', 'explain', 'updater']), null);
+  assert.strictEqual(Commands.getCommandArgs(['--model', 'updater']), null);
+});
+
+test('resolveTool: finds --tool= after wrapper flags and overrides', () => {
+  const { tool, args } = GeminiUpdaterCLI.resolveTool(tools, ['node', 'gemini', '--updater-quiet', '--tool=claude', 'updater', 'status']);
+
+  assert.strictEqual(tool.name, 'claude');
+  assert.deepStrictEqual(args, ['--updater-quiet', 'updater', 'status']);
+  assert.strictEqual(GeminiUpdaterCLI.resolveTool(tools, ['node', 'gemini', '--skip-update', '--tool=claude']).tool.name, 'claude');
+});
+
+test('resolveTool: --tool= is only read before the tool\'s own arguments', () => {
+  const { tool, args } = GeminiUpdaterCLI.resolveTool(tools, ['node', '/usr/bin/gemini', '-p', '--tool=claude']);
+
+  assert.strictEqual(tool.name, 'gemini');
+  assert.deepStrictEqual(args, ['-p', '--tool=claude']);
+  assert.strictEqual(GeminiUpdaterCLI.resolveTool(tools, ['node', '/usr/bin/claude', '--skip-update']).tool.name, 'claude');
+});
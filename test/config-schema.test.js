@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Schema = require('../lib/config-schema');
+
+test('migrate: brings a 0.x config up to the current version', () => {
+  const legacy = {
+    settings: { updateCooldown: 60 * 60 * 1000, maxRetries: 5, channel: 'preview' },
+    lastUpdateCheck: 1000,
+    activeVersion: '0.1.12',
+    versionHistory: [{ from: '0.1.11', to: '0.1.12', timestamp: 2000, success: false }]
+  };
+  const { config, migrated } = Schema.migrate(legacy);
+
+  assert.strictEqual(migrated, true);
+  assert.strictEqual(config.configVersion, Schema.CONFIG_VERSION);
+  // Defaults written by old releases are dropped; tool settings move under tools.gemini
+  assert.deepStrictEqual(config.settings, { maxRetries: 5 });
+  assert.deepStrictEqual(config.tools, { gemini: { settings: { channel: 'preview' } } });
+  assert.strictEqual(config.state.gemini.lastUpdateCheck, 1000);
+  assert.strictEqual(config.state.gemini.activeVersion, '0.1.12');
+
+  const [entry] = config.state.gemini.versionHistory;
+  assert.strictEqual(entry.action, 'update');
+  assert.strictEqual(entry.outcome, 'failed');
+  assert.strictEqual(entry.startedAt, 2000);
+  assert.deepStrictEqual(Schema.validateConfig(config), []);
+});
+
+test('migrate: leaves a current config alone', () => {
+  const current = { configVersion: Schema.CONFIG_VERSION, settings: { maxRetries: 1 }, tools: {}, state: {} };
+  const { config, migrated } = Schema.migrate(current);
+
+  assert.strictEqual(migrated, false);
+  assert.strictEqual(config, current);
+});
+
+test('validateConfig: accepts the defaults', () => {
+  const config = {
+    configVersion: Schema.CONFIG_VERSION,
+    settings: Schema.getDefaultSettings(),
+    tools: { claude: { package: '@anthropic-ai/claude-code', bin: 'claude', settings: { channel: 'latest' } } },
+    state: { gemini: Schema.getDefaultState() }
+  };
+  assert.deepStrictEqual(Schema.validateConfig(config), []);
+});
+
+test('validateConfig: reports each invalid value', () => {
+  const problems = Schema.validateConfig({
+    settings: { maxRetries: -1, updateMode: 'sometimes', unknownKey: true },
+    tools: { Bad: {}, claude: { bin: 'claude' }, other: { package: 'other', settings: { versionConstraint: 'not a range' } } },
+    state: { gemini: { activeVersion: 'latest' }, claude: [] }
+  });
+
+  assert.deepStrictEqual(problems, [
+    'settings.maxRetries must be a whole number >= 0 (got -1)',
+    'settings.updateMode must be one of: auto, prompt, notify, off (got "sometimes")',
+    'settings.unknownKey is not a known setting',
+    'tools.Bad is not a valid tool name (lowercase letters, digits, ".", "_" and "-")',
+    'tools.claude.package must be an npm package name',
+    'tools.other.settings.versionConstraint must be a semver range or exact version (got "not a range")',
+    'state.gemini.activeVersion must be an exact version (got "latest")',
+    'state.claude must be an object'
+  ]);
+});
+
+test('validateConfig: rejects non-objects', () => {
+  assert.deepStrictEqual(Schema.validateConfig([]), ['expected a JSON object']);
+  assert.deepStrictEqual(Schema.validateConfig({ tools: [] }), ['tools must be an object of tool name -> definition']);
+});
+
+test('validateSetting: keeps project files away from protected settings', () => {
+  assert.strictEqual(Schema.validateSetting('healthCheckCommand', 'true', { project: false }),
+    'settings.healthCheckCommand can\'t be set in a project file');
+  assert.strictEqual(Schema.validateSetting('maxRetries', 3, { project: false }), null);
+});
@@ -0,0 +1,86 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Config lives under the home directory, so point it at a scratch one with no policy
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'gemini-cli-updater-config-'));
+process.env.HOME = home;
+for (const name of Object.keys(process.env)) {
+  if (name.startsWith('GEMINI_UPDATER_')) delete process.env[name];
+}
+process.env.GEMINI_UPDATER_POLICY = path.join(home, 'policy.json');
+
+const Config = require('../lib/config');
+
+// Ignored settings are reported once per process with console.warn
+const warnings = [];
+console.warn = message => warnings.push(message);
+
+const projectDir = path.join(home, 'project');
+const cwd = process.cwd();
+
+// A Config created inside a project whose .gemini-updater.json holds `settings`
+function withProjectFile(settings) {
+  fs.mkdirSync(projectDir, { recursive: true });
+  fs.writeFileSync(path.join(projectDir, '.gemini-updater.json'), JSON.stringify(settings));
+  process.chdir(projectDir);
+  try {
+    return new Config();
+  } finally {
+    process.chdir(cwd);
+  }
+}
+
+beforeEach(() => {
+  fs.rmSync(path.join(home, '.gemini-cli-updater'), { recursive: true, force: true });
+  fs.rmSync(projectDir, { recursive: true, force: true });
+});
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('project file: sets ordinary settings', () => {
+  assert.strictEqual(withProjectFile({ channel: 'preview' }).getSettings().channel, 'preview');
+});
+
+test('project file: can\'t turn off health checks', () => {
+  assert.strictEqual(withProjectFile({ healthCheck: false }).getSettings().healthCheck, true);
+  assert.match(warnings.pop(), /Ignoring settings\.healthCheck can't be set in a project file in .*\.gemini-updater\.json/);
+});
+
+test('project file: can\'t lower minReleaseAgeHours', () => {
+  new Config().updateSettings({ minReleaseAgeHours: 48 });
+
+  assert.strictEqual(withProjectFile({ minReleaseAgeHours: 0 }).getSettings().minReleaseAgeHours, 48);
+});
+
+test('project file: can\'t replace deniedVersions', () => {
+  new Config().denyVersion('2.0.0', 'crashes on startup');
+
+  assert.deepStrictEqual(withProjectFile({ deniedVersions: {} }).getSettings().deniedVersions, { '2.0.0': 'crashes on startup' });
+});
+
+test('project file: can\'t point denylistUrl elsewhere', () => {
+  new Config().updateSettings({ denylistUrl: 'https://lists.example/deny.json' });
+
+  const config = withProjectFile({ denylistUrl: 'https://attacker.example/empty.json' });
+  assert.strictEqual(config.getSettings().denylistUrl, 'https://lists.example/deny.json');
+  assert.strictEqual(config.explainSetting('denylistUrl').from, 'tool');
+});
+
+test('modifyConfig: writes without the lock when it can\'t be created', () => {
+  const config = new Config();
+  config.lock.acquireSync = () => {
+    const error = new Error('EROFS: read-only file system');
+    error.code = 'EROFS';
+    throw error;
+  };
+  config.lock.release = () => assert.fail('a lock that was never taken is not released');
+
+  config.updateSettings({ maxRetries: 5 });
+  assert.strictEqual(new Config().getSettings().maxRetries, 5);
+  assert.match(warnings.pop(), /Could not create .*config\.lock \(EROFS\); updating .*config\.json without it/);
+});
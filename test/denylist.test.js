@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Denylist = require('../lib/denylist');
+
+function createDenylist({ registry = {}, cache = new Map() } = {}) {
+  const warnings = [];
+  const logger = { warn: (...args) => warnings.push(args.join(' ')) };
+  return { denylist: new Denylist(registry, cache, logger), warnings };
+}
+
+test('match: exact versions and ranges, including prereleases', () => {
+  const entries = [
+    { range: '0.4.0', reason: 'crashes on startup', source: 'local denylist' },
+    { range: '>=0.6.0 <0.7.0', reason: null, source: 'local denylist' }
+  ];
+
+  assert.strictEqual(Denylist.match(entries, '0.4.0').reason, 'crashes on startup');
+  assert.strictEqual(Denylist.match(entries, '0.6.3').range, '>=0.6.0 <0.7.0');
+  assert.strictEqual(Denylist.match(entries, '0.6.1-preview.2').range, '>=0.6.0 <0.7.0');
+  assert.strictEqual(Denylist.match(entries, '0.4.1'), null);
+  assert.strictEqual(Denylist.match([], '0.4.0'), null);
+});
+
+test('parse: accepts a map or an array and skips invalid ranges', () => {
+  const { denylist, warnings } = createDenylist();
+
+  assert.deepStrictEqual(denylist.parse({ '0.4.0': 'yanked', 'not a version': 'x' }, 'local denylist'), [
+    { range: '0.4.0', reason: 'yanked', source: 'local denylist' }
+  ]);
+  assert.deepStrictEqual(denylist.parse(['0.5.0', { version: '^0.6.0', reason: 'broken auth' }], 'team'), [
+    { range: '0.5.0', reason: null, source: 'team' },
+    { range: '^0.6.0', reason: 'broken auth', source: 'team' }
+  ]);
+  assert.deepStrictEqual(warnings, ['Ignoring invalid entry "not a version" in local denylist']);
+});
+
+test('load: combines the local and team lists', async () => {
+  const registry = { getJson: async () => ({ '0.5.0': 'team says no' }) };
+  const { denylist } = createDenylist({ registry });
+  const entries = await denylist.load({ deniedVersions: { '0.4.0': null }, denylistUrl: 'https://lists.example/deny.json' });
+
+  assert.deepStrictEqual(entries.map(entry => [entry.range, entry.source]), [
+    ['0.4.0', 'local denylist'],
+    ['0.5.0', 'team denylist (https://lists.example/deny.json)']
+  ]);
+});
+
+test('load: falls back to the cached team list, and fails without one', async () => {
+  const registry = { getJson: async () => { throw new Error('ECONNRESET'); } };
+  const cache = new Map([['https://lists.example/deny.json', { body: ['0.5.0'] }]]);
+
+  const cached = createDenylist({ registry, cache });
+  const entries = await cached.denylist.load({ denylistUrl: 'https://lists.example/deny.json' });
+  assert.deepStrictEqual(entries.map(entry => entry.range), ['0.5.0']);
+  assert.strictEqual(cached.warnings.length, 1);
+
+  const uncached = createDenylist({ registry });
+  await assert.rejects(uncached.denylist.load({ denylistUrl: 'https://lists.example/deny.json' }), /ECONNRESET/);
+});
@@ -0,0 +1,71 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HealthCheck = require('../lib/health-check');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gemini-cli-updater-health-'));
+const logger = { debug() {} };
+
+// A fake CLI entry point that runs `script`, whatever the arguments
+function fakeBin(name, script) {
+  const file = path.join(dir, `${name}.js`);
+  fs.writeFileSync(file, script);
+  return file;
+}
+
+const printsVersion = fakeBin('prints-version', 'console.log("1.2.3")');
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('passes when --version reports the expected version', () => {
+  assert.deepStrictEqual(new HealthCheck(logger).run(printsVersion, '1.2.3'), { ok: true });
+});
+
+test('fails when --version reports another version', () => {
+  const result = new HealthCheck(logger).run(printsVersion, '1.2.4');
+
+  assert.strictEqual(result.ok, false);
+  assert.match(result.error, /--version reported "1\.2\.3", expected 1\.2\.4/);
+});
+
+test('reportsVersion: matches whole versions only', () => {
+  assert.strictEqual(HealthCheck.reportsVersion('0.1.12\n', '0.1.12'), true);
+  assert.strictEqual(HealthCheck.reportsVersion('gemini v0.1.12 (node 20)', '0.1.12'), true);
+  assert.strictEqual(HealthCheck.reportsVersion('0.1.12\n', '0.1.1'), false);
+  assert.strictEqual(HealthCheck.reportsVersion('1.0.0.5', '1.0.0'), false);
+  assert.strictEqual(HealthCheck.reportsVersion('2.1.0-preview.1', '2.1.0'), false);
+});
+
+test('fails with the exit code and stderr of a crashing binary', () => {
+  const crashes = fakeBin('crashes', 'console.error("Cannot find module \'x\'"); process.exit(3)');
+  const result = new HealthCheck(logger).run(crashes, '1.2.3');
+
+  assert.strictEqual(result.ok, false);
+  assert.match(result.error, /--version failed: exit code 3: Cannot find module 'x'/);
+});
+
+test('fails when --version does not return within the timeout', () => {
+  const hangs = fakeBin('hangs', 'setTimeout(() => {}, 60000)');
+  const result = new HealthCheck(logger).run(hangs, '1.2.3', { timeout: 300 });
+
+  assert.deepStrictEqual(result, { ok: false, error: '--version failed: timed out' });
+});
+
+test('runs healthCheckCommand with the binary and version in its environment', () => {
+  const marker = path.join(dir, 'command-env');
+  const command = `"${process.execPath}" -e "require('fs').writeFileSync(process.argv[1], process.env.GEMINI_CLI_BIN + ' ' + process.env.GEMINI_CLI_VERSION)" "${marker}"`;
+
+  assert.deepStrictEqual(new HealthCheck(logger).run(printsVersion, '1.2.3', { command }), { ok: true });
+  assert.strictEqual(fs.readFileSync(marker, 'utf8'), `${printsVersion} 1.2.3`);
+});
+
+test('fails when healthCheckCommand exits non-zero', () => {
+  const command = `"${process.execPath}" -e "process.exit(2)"`;
+  const result = new HealthCheck(logger).run(printsVersion, '1.2.3', { command });
+
+  assert.deepStrictEqual(result, { ok: false, error: 'healthCheckCommand failed: exit code 2' });
+});
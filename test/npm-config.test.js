@@ -0,0 +1,207 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NpmConfig = require('../lib/npm-config');
+
+// `npm test` exports its own npm_config_* variables; start from a clean environment with
+// a scratch user .npmrc
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gemini-cli-updater-npmrc-'));
+const userconfig = path.join(dir, '.npmrc');
+const projectDir = path.join(dir, 'project');
+fs.mkdirSync(projectDir);
+
+for (const name of Object.keys(process.env)) {
+  if (/^npm_config_/i.test(name) || /^(https?|no)_proxy$/i.test(name)) delete process.env[name];
+}
+process.env.npm_config_userconfig = userconfig;
+process.env.npm_config_globalconfig = path.join(dir, 'npmrc-global');
+
+function withNpmrc(content) {
+  fs.writeFileSync(userconfig, content);
+  return new NpmConfig();
+}
+
+beforeEach(() => {
+  fs.rmSync(userconfig, { force: true });
+  fs.rmSync(path.join(projectDir, '.npmrc'), { force: true });
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('registry: scoped registries win for their scope', () => {
+  const config = withNpmrc('registry=https://registry.example/npm\n@corp:registry=https://corp.example/\n');
+
+  assert.strictEqual(config.getRegistry('@corp/tool'), 'https://corp.example/');
+  assert.strictEqual(config.getRegistry('@google/gemini-cli'), 'https://registry.example/npm/');
+  assert.strictEqual(config.getPackumentUrl('@google/gemini-cli'), 'https://registry.example/npm/@google%2fgemini-cli');
+});
+
+test('registry: npm_config_* beats the user .npmrc', () => {
+  process.env.npm_config_registry = 'https://env.example/';
+  try {
+    assert.strictEqual(withNpmrc('registry=https://registry.example/\n').getRegistry('x'), 'https://env.example/');
+  } finally {
+    delete process.env.npm_config_registry;
+  }
+});
+
+test('registry: ignores the current directory\'s .npmrc', () => {
+  // A repository being worked in must not redirect the tool's own installs
+  fs.writeFileSync(path.join(projectDir, '.npmrc'), 'registry=https://project.example/\n');
+  const cwd = process.cwd();
+  process.chdir(projectDir);
+  try {
+    assert.strictEqual(withNpmrc('registry=https://registry.example/\n').getRegistry('x'), 'https://registry.example/');
+  } finally {
+    process.chdir(cwd);
+  }
+});
+
+test('registry: overrides beat the user .npmrc', () => {
+  fs.writeFileSync(userconfig, 'registry=https://registry.example/\n');
+  assert.strictEqual(new NpmConfig({ registry: 'https://policy.example/' }).getRegistry('x'), 'https://policy.example/');
+});
+
+// Runs `fn` with the environment variables in `env` set (or unset when undefined)
+function withEnv(env, fn) {
+  const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+  const apply = values => {
+    for (const [name, value] of Object.entries(values)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  };
+  apply(env);
+  try {
+    return fn();
+  } finally {
+    apply(saved);
+  }
+}
+
+test('global npmrc: read from etc/npmrc under the prefix set in the user .npmrc', () => {
+  const prefix = path.join(dir, 'prefix');
+  fs.mkdirSync(path.join(prefix, 'etc'), { recursive: true });
+  fs.writeFileSync(path.join(prefix, 'etc', 'npmrc'), 'registry=https://global.example/\n@corp:registry=https://corp-global.example/\n');
+
+  withEnv({ npm_config_globalconfig: undefined }, () => {
+    const config = withNpmrc(`prefix=${prefix}\n@corp:registry=https://corp.example/\n`);
+    assert.strictEqual(config.getRegistry('x'), 'https://global.example/');
+    assert.strictEqual(config.getRegistry('@corp/tool'), 'https://corp.example/');
+
+    fs.writeFileSync(userconfig, '');
+    assert.strictEqual(withEnv({ npm_config_prefix: prefix }, () => new NpmConfig()).getRegistry('x'), 'https://global.example/');
+  });
+});
+
+test('global npmrc: the default prefix is derived from the node binary, as npm does', () => {
+  withEnv({ PREFIX: undefined, DESTDIR: undefined }, () => {
+    const expected = process.platform === 'win32'
+      ? path.dirname(process.execPath)
+      : path.dirname(path.dirname(process.execPath));
+    assert.strictEqual(NpmConfig.getDefaultPrefix(), expected);
+  });
+  withEnv({ PREFIX: '/opt/node' }, () => {
+    assert.strictEqual(NpmConfig.getDefaultPrefix(), '/opt/node');
+  });
+});
+
+test('auth: uses the most specific matching token', () => {
+  const config = withNpmrc([
+    '//corp.example/:_authToken=host-token',
+    '//corp.example/npm/private/:_authToken=path-token'
+  ].join('\n'));
+
+  assert.strictEqual(config.getAuthorization('https://corp.example/npm/private/pkg'), 'Bearer path-token');
+  assert.strictEqual(config.getAuthorization('https://corp.example/npm/public/pkg'), 'Bearer host-token');
+  assert.strictEqual(config.getAuthorization('https://other.example/pkg'), null);
+});
+
+test('auth: builds basic auth from username and base64 password', () => {
+  const config = withNpmrc([
+    '//corp.example/:username=alice',
+    `//corp.example/:_password=${Buffer.from('s3cret').toString('base64')}`
+  ].join('\n'));
+
+  assert.strictEqual(config.getAuthorization('https://corp.example/pkg'), `Basic ${Buffer.from('alice:s3cret').toString('base64')}`);
+});
+
+test('auth: expands ${ENV} references', () => {
+  process.env.TEST_NPM_TOKEN = 'from-env';
+  const config = withNpmrc('//corp.example/:_authToken=${TEST_NPM_TOKEN}\n');
+  delete process.env.TEST_NPM_TOKEN;
+
+  assert.strictEqual(config.getAuthorization('https://corp.example/pkg'), 'Bearer from-env');
+});
+
+test('auth: a top-level token only goes to the default registry', () => {
+  const config = withNpmrc('registry=https://registry.example/\n_authToken=legacy\n');
+
+  assert.strictEqual(config.getAuthorization('https://registry.example/pkg'), 'Bearer legacy');
+  assert.strictEqual(config.getAuthorization('https://elsewhere.example/pkg'), null);
+});
+
+test('proxy: NO_PROXY matches hosts, subdomains and wildcards', () => {
+  const config = withNpmrc('');
+
+  assert.strictEqual(config.isNoProxy('registry.example', 'localhost, registry.example'), true);
+  assert.strictEqual(config.isNoProxy('npm.corp.example', '.corp.example'), true);
+  assert.strictEqual(config.isNoProxy('npm.corp.example', '*.corp.example'), true);
+  assert.strictEqual(config.isNoProxy('corp.example', 'corp.example:8443'), true);
+  assert.strictEqual(config.isNoProxy('notcorp.example', 'corp.example'), false);
+  assert.strictEqual(config.isNoProxy('anything.example', '*'), true);
+  assert.strictEqual(config.isNoProxy('registry.example', ''), false);
+});
+
+test('proxy: https-proxy for https URLs unless excluded by noproxy', () => {
+  const config = withNpmrc('https-proxy=http://proxy.example:3128\nproxy=http://plain.example:3128\nnoproxy=internal.example\n');
+
+  assert.strictEqual(config.getProxy('https://registry.example/pkg'), 'http://proxy.example:3128');
+  assert.strictEqual(config.getProxy('http://registry.example/pkg'), 'http://plain.example:3128');
+  assert.strictEqual(config.getProxy('https://npm.internal.example/pkg'), null);
+});
+
+test('proxy: falls back to HTTPS_PROXY and NO_PROXY', () => {
+  process.env.HTTPS_PROXY = 'http://env-proxy.example:8080';
+  process.env.NO_PROXY = 'skip.example';
+  try {
+    const config = withNpmrc('');
+    assert.strictEqual(config.getProxy('https://registry.example/pkg'), 'http://env-proxy.example:8080');
+    assert.strictEqual(config.getProxy('https://skip.example/pkg'), null);
+  } finally {
+    delete process.env.HTTPS_PROXY;
+    delete process.env.NO_PROXY;
+  }
+});
+
+test('toNpmrc: carries registry and credentials into the install directory', () => {
+  const config = withNpmrc('@corp:registry=https://corp.example/\n//corp.example/:_authToken=corp-token\nstrict-ssl=false\n');
+
+  assert.strictEqual(config.toNpmrc('@corp/tool'), [
+    `registry=${NpmConfig.DEFAULT_REGISTRY}`,
+    '@corp:registry=https://corp.example/',
+    '//corp.example/:_authToken=corp-token',
+    'strict-ssl=false',
+    ''
+  ].join('\n'));
+});
+
+test('toNpmrc: carries inline certificates as ca[] lines', () => {
+  const config = withNpmrc([
+    'ca[]="-----BEGIN CERTIFICATE-----\\nAAAA\\n-----END CERTIFICATE-----"',
+    'ca[]="-----BEGIN CERTIFICATE-----\\nBBBB\\n-----END CERTIFICATE-----"'
+  ].join('\n'));
+  const npmrc = config.toNpmrc('@google/gemini-cli');
+
+  assert.deepStrictEqual(npmrc.split('\n').filter(line => line.startsWith('ca')), [
+    'ca[]=-----BEGIN CERTIFICATE-----\\nAAAA\\n-----END CERTIFICATE-----',
+    'ca[]=-----BEGIN CERTIFICATE-----\\nBBBB\\n-----END CERTIFICATE-----'
+  ]);
+  // Read back, the same certificates are trusted
+  assert.deepStrictEqual(withNpmrc(npmrc).getCA(), config.getCA());
+  assert.strictEqual(config.getCA().length, 2);
+});
@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const PackageVerifier = require('../lib/package-verifier');
+
+const NAME = '@google/gemini-cli';
+const VERSION = '1.2.3';
+const TARBALL = Buffer.from('not really a tarball');
+const INTEGRITY = `sha512-${crypto.createHash('sha512').update(TARBALL).digest('base64')}`;
+
+// A registry signing key, published the way /-/npm/v1/keys does
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const KEY = { keyid: 'SHA256:test', key: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'), expires: null };
+
+function sign(message) {
+  return crypto.sign('sha256', Buffer.from(message), privateKey).toString('base64');
+}
+
+function signedDist(overrides = {}) {
+  return {
+    tarball: 'https://registry.example/tarball.tgz',
+    integrity: INTEGRITY,
+    signatures: [{ keyid: KEY.keyid, sig: sign(`${NAME}@${VERSION}:${INTEGRITY}`) }],
+    ...overrides
+  };
+}
+
+// Serves the tarball and, when `keys` is given, the registry's signing keys
+function createVerifier(keys) {
+  const registry = {
+    getBuffer: async () => TARBALL,
+    getJson: async url => {
+      if (url.endsWith('/-/npm/v1/keys') && keys) return { keys };
+      const error = new Error('Not found: HTTP 404');
+      error.status = 404;
+      throw error;
+    }
+  };
+  return new PackageVerifier(registry, { getRegistry: () => 'https://registry.example/' });
+}
+
+function assertVerifyError(fn, pattern) {
+  assert.throws(fn, error => error.code === 'EVERIFY' && pattern.test(error.message));
+}
+
+test('integrity: verified when the SHA-512 matches', () => {
+  assert.strictEqual(createVerifier().checkIntegrity(NAME, VERSION, TARBALL, `${INTEGRITY} sha1-abc`), 'verified');
+});
+
+test('integrity: missing without a sha512 hash', () => {
+  assert.strictEqual(createVerifier().checkIntegrity(NAME, VERSION, TARBALL, 'sha1-abc'), 'missing');
+  assert.strictEqual(createVerifier().checkIntegrity(NAME, VERSION, TARBALL, undefined), 'missing');
+});
+
+test('integrity: a different tarball fails', () => {
+  assertVerifyError(
+    () => createVerifier().checkIntegrity(NAME, VERSION, Buffer.from('tampered'), INTEGRITY),
+    /Integrity mismatch/
+  );
+});
+
+test('signature: verified with a registry key', () => {
+  assert.strictEqual(createVerifier().checkSignature(NAME, VERSION, signedDist(), [KEY], null), 'verified');
+});
+
+test('signature: missing or unsupported does not throw', () => {
+  const verifier = createVerifier();
+  assert.strictEqual(verifier.checkSignature(NAME, VERSION, signedDist({ signatures: [] }), [KEY], null), 'missing');
+  assert.strictEqual(verifier.checkSignature(NAME, VERSION, signedDist(), null, null), 'unsupported');
+});
+
+test('signature: a signature over other data fails', () => {
+  const dist = signedDist({ signatures: [{ keyid: KEY.keyid, sig: sign(`${NAME}@9.9.9:${INTEGRITY}`) }] });
+  assertVerifyError(() => createVerifier().checkSignature(NAME, VERSION, dist, [KEY], null), /Invalid registry signature/);
+});
+
+test('signature: an unknown key fails', () => {
+  const dist = signedDist({ signatures: [{ keyid: 'SHA256:other', sig: sign('x') }] });
+  assertVerifyError(() => createVerifier().checkSignature(NAME, VERSION, dist, [KEY], null), /unknown key/);
+});
+
+test('signature: a key that expired before publishing fails', () => {
+  const expired = { ...KEY, expires: '2020-01-01T00:00:00.000Z' };
+  assertVerifyError(
+    () => createVerifier().checkSignature(NAME, VERSION, signedDist(), [expired], '2021-01-01T00:00:00.000Z'),
+    /expired before it was published/
+  );
+  assert.strictEqual(createVerifier().checkSignature(NAME, VERSION, signedDist(), [expired], '2019-01-01T00:00:00.000Z'), 'verified');
+});
+
+test('verify: downloads and checks the tarball', async () => {
+  const packument = { versions: { [VERSION]: { dist: signedDist() } }, time: {} };
+  const result = await createVerifier([KEY]).verify(NAME, packument, VERSION);
+
+  assert.deepStrictEqual(result.tarball, TARBALL);
+  assert.deepStrictEqual(result.verification, { integrity: 'verified', signature: 'verified', provenance: 'missing' });
+});
+
+test('verify: a registry without signing keys reports the signature as unsupported', async () => {
+  const packument = { versions: { [VERSION]: { dist: signedDist() } } };
+  const { verification } = await createVerifier(null).verify(NAME, packument, VERSION);
+
+  assert.strictEqual(verification.integrity, 'verified');
+  assert.strictEqual(verification.signature, 'unsupported');
+});
+
+test('verify: a version without a tarball fails', async () => {
+  await assert.rejects(
+    createVerifier([KEY]).verify(NAME, { versions: {} }, VERSION),
+    error => error.code === 'EVERIFY' && /no tarball/.test(error.message)
+  );
+});
@@ -0,0 +1,93 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProjectVersion = require('../lib/project-version');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'gemini-cli-updater-project-'));
+
+// Creates `files` ({ relative path: content }) under a fresh project tree
+function project(files) {
+  fs.rmSync(root, { recursive: true, force: true });
+  for (const [file, content] of Object.entries(files)) {
+    const target = path.join(root, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  fs.mkdirSync(path.join(root, 'repo', 'src', 'deep'), { recursive: true });
+}
+
+beforeEach(() => {
+  project({});
+});
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('finds .gemini-version in a parent directory', () => {
+  project({ 'repo/.gemini-version': '# pinned for CI\n\n0.1.12\n' });
+  const found = new ProjectVersion().find(path.join(root, 'repo', 'src', 'deep'));
+
+  assert.deepStrictEqual(found, { version: '0.1.12', source: path.join(root, 'repo', '.gemini-version') });
+});
+
+test('reads the geminiCli field of package.json', () => {
+  project({ 'repo/package.json': { name: 'app', geminiCli: 'v0.2.0' } });
+  const found = new ProjectVersion().find(path.join(root, 'repo', 'src'));
+
+  assert.deepStrictEqual(found, { version: '0.2.0', source: path.join(root, 'repo', 'package.json') });
+});
+
+test('the nearest directory wins', () => {
+  project({
+    'repo/.gemini-version': '0.1.0',
+    'repo/src/package.json': { geminiCli: '0.3.0' }
+  });
+
+  assert.strictEqual(new ProjectVersion().find(path.join(root, 'repo', 'src', 'deep')).version, '0.3.0');
+});
+
+test('.gemini-version beats package.json in the same directory', () => {
+  project({
+    'repo/.gemini-version': '0.1.0',
+    'repo/package.json': { geminiCli: '0.3.0' }
+  });
+
+  assert.strictEqual(new ProjectVersion().find(path.join(root, 'repo')).version, '0.1.0');
+});
+
+test('skips package.json files without the field or that do not parse', () => {
+  project({
+    'repo/package.json': { name: 'app' },
+    'repo/src/package.json': '{ not json',
+    '.gemini-version': '0.1.5'
+  });
+
+  assert.strictEqual(new ProjectVersion().find(path.join(root, 'repo', 'src', 'deep')).version, '0.1.5');
+});
+
+test('returns null when nothing is pinned', () => {
+  // The scratch directory sits in the system temp directory, which pins nothing
+  assert.strictEqual(new ProjectVersion().find(path.join(root, 'repo')), null);
+});
+
+test('rejects anything but an exact version', () => {
+  project({ 'repo/.gemini-version': '^0.1.0' });
+
+  assert.throws(() => new ProjectVersion().find(path.join(root, 'repo')), /Invalid Gemini CLI version "\^0\.1\.0"/);
+});
+
+test('other tools use their own version file and package.json field', () => {
+  project({
+    'repo/.gemini-version': '0.1.0',
+    'repo/src/package.json': { geminiCli: '0.3.0', myToolCli: '2.0.0' },
+    'repo/src/deep/.my-tool-version': '2.1.0'
+  });
+  const projectVersion = new ProjectVersion({ bin: 'my-tool', displayName: 'My Tool' });
+
+  assert.strictEqual(projectVersion.find(path.join(root, 'repo', 'src', 'deep')).version, '2.1.0');
+  assert.strictEqual(projectVersion.find(path.join(root, 'repo', 'src')).version, '2.0.0');
+  assert.strictEqual(projectVersion.find(path.join(root, 'repo')), null);
+});
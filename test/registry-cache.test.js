@@ -0,0 +1,110 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The cache lives under the home directory, so point it at a scratch one
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'gemini-cli-updater-cache-'));
+process.env.HOME = home;
+for (const name of Object.keys(process.env)) {
+  if (name.startsWith('GEMINI_UPDATER_') || /^npm_config_/i.test(name) || /^(https?|no)_proxy$/i.test(name)) delete process.env[name];
+}
+
+const Updater = require('../lib/updater');
+const Config = require('../lib/config');
+const RegistryCache = require('../lib/registry-cache');
+
+// Serves one packument with an ETag and answers If-None-Match with 304. Connections
+// aren't kept alive, so closing the server leaves nothing for the next request to reuse
+const registry = {
+  etag: '"v1"',
+  packument: { name: '@google/gemini-cli', 'dist-tags': { latest: '1.0.0' }, versions: { '1.0.0': { version: '1.0.0' } } },
+  requests: []
+};
+const server = http.createServer((req, res) => {
+  registry.requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] || null });
+  if (req.headers['if-none-match'] === registry.etag) {
+    res.writeHead(304, { etag: registry.etag, connection: 'close' });
+    res.end();
+    return;
+  }
+  res.writeHead(200, { 'content-type': 'application/json', etag: registry.etag, connection: 'close' });
+  res.end(JSON.stringify(registry.packument));
+});
+
+function createUpdater() {
+  return new Updater(new Config().getTool('gemini'));
+}
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.npm_config_registry = `http://127.0.0.1:${server.address().port}/`;
+});
+
+beforeEach(() => {
+  new RegistryCache().clear();
+  registry.requests = [];
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('keeps only the packument fields the updater uses', () => {
+  const trimmed = RegistryCache.trimPackument({
+    name: 'pkg',
+    readme: 'x'.repeat(1000),
+    'dist-tags': { latest: '1.0.0' },
+    time: { '1.0.0': '2026-01-01T00:00:00.000Z' },
+    versions: { '1.0.0': { version: '1.0.0', dist: { tarball: 'https://t' }, engines: { node: '>=20' }, scripts: { x: 'y' } } }
+  });
+
+  assert.deepStrictEqual(trimmed, {
+    name: 'pkg',
+    'dist-tags': { latest: '1.0.0' },
+    versions: { '1.0.0': { version: '1.0.0', dist: { tarball: 'https://t' }, engines: { node: '>=20' }, deprecated: undefined } },
+    time: { '1.0.0': '2026-01-01T00:00:00.000Z' }
+  });
+});
+
+test('revalidates with the cached ETag and reuses the body on 304', async () => {
+  const first = await createUpdater().getPackument();
+  const updater = createUpdater();
+  const second = await updater.getPackument();
+
+  assert.deepStrictEqual(registry.requests.map(request => request.ifNoneMatch), [null, '"v1"']);
+  assert.deepStrictEqual(second['dist-tags'], first['dist-tags']);
+  assert.deepStrictEqual(Object.keys(second.versions), ['1.0.0']);
+  assert.strictEqual(updater.isOffline(), false);
+});
+
+test('replaces the cached copy when the document changed', async () => {
+  await createUpdater().getPackument();
+  registry.etag = '"v2"';
+  registry.packument = { ...registry.packument, 'dist-tags': { latest: '1.1.0' } };
+
+  const packument = await createUpdater().getPackument();
+  assert.strictEqual(packument['dist-tags'].latest, '1.1.0');
+  assert.strictEqual(registry.requests[1].ifNoneMatch, '"v1"');
+});
+
+test('falls back to the cached copy when the registry is unreachable', async () => {
+  const cached = await createUpdater().getPackument();
+  const { port } = server.address();
+
+  // Nothing listens on the registry's port while the server is closed
+  await new Promise(resolve => server.close(resolve));
+  try {
+    const updater = createUpdater();
+    assert.deepStrictEqual((await updater.getPackument())['dist-tags'], cached['dist-tags']);
+    assert.strictEqual(updater.isOffline(), true);
+
+    new RegistryCache().clear();
+    await assert.rejects(createUpdater().getPackument(), error => error.offline === true);
+  } finally {
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  }
+});
@@ -0,0 +1,121 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const RegistryClient = require('../lib/registry-client');
+
+// No auth, proxy or custom CA: requests go straight to the local server
+const npmConfig = {
+  getAuthorization: () => null,
+  getProxy: () => null,
+  getCA: () => undefined,
+  isStrictSSL: () => true
+};
+
+// Answers each request with the next queued [status, headers, body], then 200 {"ok":true}
+let responses = [];
+let requestCount = 0;
+const server = http.createServer((req, res) => {
+  requestCount++;
+  const [status, headers, body] = responses.shift() || [200, {}, { ok: true }];
+  res.writeHead(status, { 'content-type': 'application/json', connection: 'close', ...headers });
+  res.end(JSON.stringify(body));
+});
+let url;
+
+// A client that records the delay it picks before each retry
+function createClient() {
+  const client = new RegistryClient(npmConfig);
+  client.delays = [];
+  const getRetryDelay = client.getRetryDelay.bind(client);
+  client.getRetryDelay = (error, attempt) => {
+    const delay = getRetryDelay(error, attempt);
+    client.delays.push(delay);
+    return delay;
+  };
+  return client;
+}
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/pkg`;
+});
+
+beforeEach(() => {
+  responses = [];
+  requestCount = 0;
+});
+
+after(() => {
+  server.close();
+});
+
+test('retries a 5xx and returns the next successful response', async () => {
+  responses = [[503, {}, { error: 'unavailable' }]];
+  const client = createClient();
+
+  assert.deepStrictEqual(await client.getJson(url, { retries: 2 }), { ok: true });
+  assert.strictEqual(requestCount, 2);
+  assert.strictEqual(client.delays.length, 1);
+});
+
+test('waits as long as a 429 asks with Retry-After in seconds', async () => {
+  responses = [[429, { 'retry-after': '0' }, {}]];
+  const client = createClient();
+
+  assert.deepStrictEqual(await client.getJson(url, { retries: 1 }), { ok: true });
+  assert.strictEqual(requestCount, 2);
+  assert.deepStrictEqual(client.delays, [0]);
+});
+
+test('waits as long as a 429 asks with Retry-After as an HTTP date', async () => {
+  responses = [[429, { 'retry-after': new Date(Date.now() - 1000).toUTCString() }, {}]];
+  const client = createClient();
+
+  assert.deepStrictEqual(await client.getJson(url, { retries: 1 }), { ok: true });
+  assert.strictEqual(requestCount, 2);
+  assert.deepStrictEqual(client.delays, [0]);
+});
+
+test('gives up when Retry-After asks for longer than the request timeout', async () => {
+  responses = [[429, { 'retry-after': '3600' }, {}]];
+
+  await assert.rejects(createClient().getJson(url, { retries: 2, timeout: 5000 }), error => error.statusCode === 429);
+  assert.strictEqual(requestCount, 1);
+});
+
+test('parseRetryAfter: seconds and HTTP dates, in milliseconds', () => {
+  const client = new RegistryClient(npmConfig);
+
+  assert.strictEqual(client.parseRetryAfter('3'), 3000);
+  assert.strictEqual(client.parseRetryAfter(new Date(Date.now() - 5000).toUTCString()), 0);
+  const future = client.parseRetryAfter(new Date(Date.now() + 30000).toUTCString());
+  assert.ok(future > 28000 && future <= 30000, `got ${future}`);
+  assert.strictEqual(client.parseRetryAfter('soon'), null);
+  assert.strictEqual(client.parseRetryAfter(undefined), null);
+});
+
+test('does not retry other 4xx responses', async () => {
+  responses = [[403, {}, { error: 'forbidden' }]];
+
+  await assert.rejects(createClient().getJson(url, { retries: 3 }), (error) => {
+    assert.strictEqual(error.statusCode, 403);
+    assert.strictEqual(error.retryable, false);
+    assert.match(error.message, /Registry request failed: HTTP 403/);
+    return true;
+  });
+  assert.strictEqual(requestCount, 1);
+});
+
+test('marks a refused connection as offline', async () => {
+  // Grab a free port, then close it so nothing listens there
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  await assert.rejects(createClient().getJson(`http://127.0.0.1:${port}/pkg`), (error) => {
+    assert.strictEqual(error.code, 'ECONNREFUSED');
+    assert.strictEqual(error.offline, true);
+    return true;
+  });
+});
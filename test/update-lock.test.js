@@ -0,0 +1,98 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Lock files live under the home directory, so point it at a scratch one
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'gemini-cli-updater-lock-'));
+process.env.HOME = home;
+
+const UpdateLock = require('../lib/update-lock');
+
+// Above Linux's pid_max, so never a running process
+const DEAD_PID = 99999999;
+
+function writeHolder(lock, holder) {
+  fs.mkdirSync(path.dirname(lock.getLockPath()), { recursive: true });
+  fs.writeFileSync(lock.getLockPath(), JSON.stringify(holder));
+}
+
+let lock;
+
+beforeEach(() => {
+  fs.rmSync(path.join(home, '.gemini-cli-updater'), { recursive: true, force: true });
+  lock = new UpdateLock({ name: 'test' });
+});
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('acquires a free lock and releases it', async () => {
+  assert.strictEqual(await lock.acquire(), true);
+  assert.strictEqual(lock.getHolder().pid, process.pid);
+
+  lock.release();
+  assert.strictEqual(fs.existsSync(lock.getLockPath()), false);
+});
+
+test('does not take a lock held by a live process', () => {
+  const holder = { pid: process.ppid, hostname: os.hostname(), createdAt: Date.now() };
+  writeHolder(lock, holder);
+
+  assert.strictEqual(lock.acquireSync(), false);
+  assert.deepStrictEqual(lock.getHolder(), holder);
+});
+
+test('takes over a lock whose process is gone', () => {
+  writeHolder(lock, { pid: DEAD_PID, hostname: os.hostname(), createdAt: Date.now() });
+
+  assert.strictEqual(lock.acquireSync(), true);
+  assert.strictEqual(lock.getHolder().pid, process.pid);
+  lock.release();
+});
+
+test('takes over a lock older than staleAfter', () => {
+  lock = new UpdateLock({ name: 'test', staleAfter: 1000 });
+  writeHolder(lock, { pid: process.ppid, hostname: 'elsewhere', createdAt: Date.now() - 5000 });
+
+  assert.strictEqual(lock.acquireSync(), true);
+  lock.release();
+});
+
+test('leaves a dead process on another host alone until the lock is old', () => {
+  writeHolder(lock, { pid: DEAD_PID, hostname: 'elsewhere', createdAt: Date.now() });
+
+  assert.strictEqual(lock.acquireSync(), false);
+});
+
+test('is re-entrant within a process', async () => {
+  assert.strictEqual(await lock.acquire(), true);
+  assert.strictEqual(lock.acquireSync(), true);
+
+  lock.release();
+  assert.strictEqual(lock.getHolder().pid, process.pid);
+  lock.release();
+  assert.strictEqual(fs.existsSync(lock.getLockPath()), false);
+});
+
+test('each tool has its own lock', () => {
+  const gemini = new UpdateLock();
+  const claude = new UpdateLock({ tool: 'claude' });
+  writeHolder(gemini, { pid: process.ppid, hostname: os.hostname(), createdAt: Date.now() });
+
+  assert.notStrictEqual(claude.getLockPath(), gemini.getLockPath());
+  assert.strictEqual(claude.acquireSync(), true);
+  claude.release();
+});
+
+test('puts back a fresh lock that replaced the stale one', () => {
+  const fresh = { pid: process.ppid, hostname: os.hostname(), createdAt: Date.now() };
+  writeHolder(lock, fresh);
+
+  // Another process took over first: the holder seen as stale is no longer there
+  assert.strictEqual(lock.takeOver({ pid: DEAD_PID, hostname: os.hostname(), createdAt: 0 }), false);
+  assert.deepStrictEqual(lock.getHolder(), fresh);
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(lock.getLockPath())), ['test.lock']);
+});
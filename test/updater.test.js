@@ -0,0 +1,243 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Config, logs and history live under the home directory, so point it at a scratch one
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'gemini-cli-updater-updater-'));
+process.env.HOME = home;
+for (const name of Object.keys(process.env)) {
+  if (name.startsWith('GEMINI_UPDATER_')) delete process.env[name];
+}
+
+const Updater = require('../lib/updater');
+const Config = require('../lib/config');
+
+// Registry document with a stable line, a preview line and a custom dist-tag
+const PACKUMENT = {
+  'dist-tags': { latest: '2.0.0', preview: '2.1.0-preview.1', nightly: '2.1.0-nightly.20260101', beta: '1.3.0-beta.0' },
+  versions: Object.fromEntries([
+    '1.0.0', '1.1.0', '1.2.0', '1.3.0-beta.0', '2.0.0', '2.1.0-preview.0', '2.1.0-preview.1', '2.1.0-nightly.20260101'
+  ].map(version => [version, { version }]))
+};
+
+function createUpdater(packument = PACKUMENT) {
+  const updater = new Updater(new Config().getTool('gemini'));
+  updater.getPackument = async () => packument;
+  return updater;
+}
+
+beforeEach(() => {
+  delete process.env.GEMINI_UPDATER_VERSION_CONSTRAINT;
+  delete process.env.GEMINI_UPDATER_MIN_RELEASE_AGE;
+  fs.rmSync(path.join(home, '.gemini-cli-updater'), { recursive: true, force: true });
+});
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('channels: follow their dist-tag', async () => {
+  const updater = createUpdater();
+
+  assert.strictEqual((await updater.resolveTargetVersion('stable')).version, '2.0.0');
+  assert.strictEqual((await updater.resolveTargetVersion('preview')).version, '2.1.0-preview.1');
+  assert.strictEqual((await updater.resolveTargetVersion('nightly')).version, '2.1.0-nightly.20260101');
+});
+
+test('channels: any other name is used as a dist-tag', async () => {
+  const updater = createUpdater();
+
+  assert.strictEqual(updater.getDistTag('beta'), 'beta');
+  assert.strictEqual((await updater.resolveTargetVersion('beta')).version, '1.3.0-beta.0');
+  await assert.rejects(updater.resolveTargetVersion('canary'), /No version published under dist-tag "canary"/);
+});
+
+test('versionConstraint: holds back to the highest satisfying stable version', async () => {
+  process.env.GEMINI_UPDATER_VERSION_CONSTRAINT = '^1.0.0';
+  const target = await createUpdater().resolveTargetVersion('stable');
+
+  assert.strictEqual(target.version, '1.2.0');
+  assert.strictEqual(target.latest, '2.0.0');
+  assert.strictEqual(target.constraint, '^1.0.0');
+  assert.strictEqual(target.heldBack, true);
+});
+
+test('versionConstraint: a satisfied constraint holds nothing back', async () => {
+  process.env.GEMINI_UPDATER_VERSION_CONSTRAINT = '>=1.1.0';
+  const target = await createUpdater().resolveTargetVersion('stable');
+
+  assert.strictEqual(target.version, '2.0.0');
+  assert.strictEqual(target.heldBack, false);
+});
+
+test('versionConstraint: prerelease channels consider prereleases, never past the dist-tag', async () => {
+  process.env.GEMINI_UPDATER_VERSION_CONSTRAINT = '~2.1.0-preview.0';
+  const target = await createUpdater().resolveTargetVersion('preview');
+
+  assert.strictEqual(target.version, '2.1.0-preview.1');
+  assert.strictEqual(target.latest, '2.1.0-preview.1');
+});
+
+test('versionConstraint: fails when nothing published satisfies it', async () => {
+  process.env.GEMINI_UPDATER_VERSION_CONSTRAINT = '^3.0.0';
+  await assert.rejects(createUpdater().resolveTargetVersion('stable'), /No published version satisfies versionConstraint \^3\.0\.0/);
+});
+
+test('isUpdateNeeded: only moves forward, or back inside the constraint', () => {
+  const updater = createUpdater();
+
+  assert.strictEqual(updater.isUpdateNeeded('1.2.0', { version: '2.0.0', constraint: null }), true);
+  assert.strictEqual(updater.isUpdateNeeded('2.0.0', { version: '2.0.0', constraint: null }), false);
+  assert.strictEqual(updater.isUpdateNeeded('2.1.0-preview.1', { version: '2.0.0', constraint: null }), false);
+  assert.strictEqual(updater.isUpdateNeeded('2.0.0', { version: '1.2.0', constraint: '^1.0.0' }), true);
+  assert.strictEqual(updater.isUpdateNeeded(null, { version: '1.2.0', constraint: null }), true);
+});
+
+// A finished history entry, as performUpdate, rollback and `use` leave them
+function record(updater, from, to, outcome = 'success', action = 'update') {
+  updater.config.addVersionHistory(from, to, { action, outcome });
+}
+
+test('rollback: goes back to the version the current one replaced', () => {
+  const updater = createUpdater();
+  record(updater, '1.0.0', '1.1.0');
+  record(updater, '1.1.0', '1.2.0');
+
+  assert.strictEqual(updater.getRollbackTarget('1.2.0'), '1.1.0');
+});
+
+test('rollback: repeated rollbacks keep walking back', () => {
+  const updater = createUpdater();
+  record(updater, null, '1.0.0');
+  record(updater, '1.0.0', '1.1.0');
+  record(updater, '1.1.0', '1.2.0');
+
+  assert.strictEqual(updater.getRollbackTarget('1.2.0'), '1.1.0');
+  record(updater, '1.2.0', '1.1.0', 'success', 'rollback');
+  assert.strictEqual(updater.getRollbackTarget('1.1.0'), '1.0.0');
+});
+
+test('rollback: skips failed and rolled-back transactions', () => {
+  const updater = createUpdater();
+  record(updater, '1.0.0', '1.1.0');
+  record(updater, '1.1.0', '1.2.0');
+  record(updater, '1.2.0', '1.3.0', 'rolled-back');
+  record(updater, '1.2.0', '1.3.0', 'failed');
+
+  assert.strictEqual(updater.getRollbackTarget('1.2.0'), '1.1.0');
+});
+
+test('rollback: skips versions marked bad', () => {
+  const updater = createUpdater();
+  record(updater, null, '1.0.0');
+  record(updater, '1.0.0', '1.1.0');
+  record(updater, '1.1.0', '1.2.0');
+  updater.config.markBadVersion('1.1.0', 'health check failed');
+
+  assert.strictEqual(updater.getRollbackTarget('1.2.0'), '1.0.0');
+});
+
+test('rollback: nothing to go back to without history', () => {
+  assert.strictEqual(createUpdater().getRollbackTarget('1.2.0'), null);
+});
+
+// PACKUMENT with publish times: 2.0.0 two hours ago, everything else ten days ago
+function withPublishTimes() {
+  const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  const time = Object.fromEntries(Object.keys(PACKUMENT.versions).map(version => [version, hoursAgo(240)]));
+  return { ...PACKUMENT, time: { ...time, '2.0.0': hoursAgo(2) } };
+}
+
+test('minReleaseAgeHours: skips versions published too recently', async () => {
+  process.env.GEMINI_UPDATER_MIN_RELEASE_AGE = '24';
+  const target = await createUpdater(withPublishTimes()).resolveTargetVersion('stable');
+
+  assert.strictEqual(target.version, '1.2.0');
+  assert.strictEqual(target.latest, '2.0.0');
+  assert.strictEqual(target.skipped.length, 1);
+  assert.strictEqual(target.skipped[0].version, '2.0.0');
+  assert.match(target.skipped[0].reason, /^published 2\.0h ago, minReleaseAgeHours is 24$/);
+});
+
+test('minReleaseAgeHours: off by default', async () => {
+  const target = await createUpdater(withPublishTimes()).resolveTargetVersion('stable');
+
+  assert.strictEqual(target.version, '2.0.0');
+  assert.deepStrictEqual(target.skipped, []);
+});
+
+test('deniedVersions: skips denylisted versions and ranges with their reason', async () => {
+  const updater = createUpdater();
+  updater.config.denyVersion('2.0.0', 'crashes on startup');
+  updater.config.denyVersion('>=1.2.0 <2.0.0');
+  const target = await updater.resolveTargetVersion('stable');
+
+  assert.strictEqual(target.version, '1.1.0');
+  assert.deepStrictEqual(target.skipped, [
+    { version: '2.0.0', reason: 'listed in the local denylist: crashes on startup' },
+    { version: '1.2.0', reason: 'listed in the local denylist' }
+  ]);
+});
+
+test('getSkipReason: versions that failed a health check', () => {
+  const updater = createUpdater();
+  updater.config.markBadVersion('2.0.0', 'health check failed');
+
+  assert.strictEqual(updater.getSkipReason('2.0.0', PACKUMENT, []),
+    'failed a previous health check (allow it with: gemini updater allow 2.0.0)');
+  assert.strictEqual(updater.getSkipReason('1.2.0', PACKUMENT, []), null);
+});
+
+test('resolveTargetVersion: no version when every candidate is skipped', async () => {
+  const updater = createUpdater();
+  updater.config.denyVersion('*', 'frozen');
+  const target = await updater.resolveTargetVersion('stable');
+
+  assert.strictEqual(target.version, null);
+  assert.deepStrictEqual(target.skipped.map(entry => entry.version), ['2.0.0', '1.2.0', '1.1.0', '1.0.0']);
+});
+
+test('assertVerified: requires integrity, warns about a missing signature', () => {
+  const updater = createUpdater();
+  const warnings = [];
+  updater.logger.warn = (...args) => warnings.push(args.join(' '));
+
+  updater.assertVerified('2.0.0', { integrity: 'verified', signature: 'unsupported' });
+  assert.deepStrictEqual(warnings, ['@google/gemini-cli@2.0.0 has no registry signature to check (unsupported)']);
+  assert.throws(() => updater.assertVerified('2.0.0', { integrity: 'missing', signature: 'missing' }),
+    /@google\/gemini-cli@2\.0\.0 has no SHA-512 integrity hash/);
+
+  updater.config.updateSettings({ allowUnsignedVersions: true });
+  updater.assertVerified('2.0.0', { integrity: 'missing', signature: 'missing' });
+});
+
+// An updater whose version store holds `installed` and whose global install is 1.0.0;
+// installVersion succeeds without adding anything to the store
+function createInstallingUpdater(installed) {
+  const updater = createUpdater();
+  const store = new Set(installed);
+  updater.store = { has: version => store.has(version), remove: version => store.delete(version), prune: () => [] };
+  updater.installVersion = async () => ({ output: 'added 1 package', verification: { integrity: 'verified' } });
+  updater.getCurrentVersion = async () => {
+    const active = updater.config.getActiveVersion();
+    return active && store.has(active) ? active : '1.0.0';
+  };
+  updater.logger = { debug() {}, info() {}, warn() {}, error() {} };
+  return updater;
+}
+
+test('performUpdate: switches back when the new version is not the one running', async () => {
+  const updater = createInstallingUpdater(['1.1.0']);
+  updater.config.setActiveVersion('1.1.0');
+  updater.runHealthCheck = () => assert.fail('no health check for a version that is not active');
+
+  await assert.rejects(updater.performUpdate('2.0.0'),
+    /Update verification failed \(found 1\.0\.0 after switching to 2\.0\.0\); restored 1\.1\.0/);
+  assert.strictEqual(updater.config.getActiveVersion(), '1.1.0');
+
+  const [entry] = updater.config.getVersionHistory().slice(-1);
+  assert.strictEqual(entry.outcome, 'rolled-back');
+  assert.strictEqual(entry.error, 'found 1.0.0 after switching to 2.0.0');
+});